@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+// Funny Fight online relay: pairs two browsers by room code and forwards their
+// messages to each other. No dependencies; speaks just enough WebSocket (RFC 6455)
+// for JSON text messages.
+//
+//   node server/relay.js            # listens on ws://localhost:8787
+//   PORT=9000 node server/relay.js
+//
+// Protocol (JSON text frames):
+//   -> { t: "create", char, stage }  <- { t: "room", code }
+//   -> { t: "join", code, char }     <- { t: "start", seed, chars: [host, guest], stage, side } (to both)
+//   <- { t: "error", msg }           <- { t: "left" } when the other player disconnects
+// Once a room has started, every other message is passed through to the opponent.
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT || process.argv[2] || 8787);
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_PAYLOAD = 64 * 1024;
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no I/O/0/1
+
+const rooms = new Map(); // code -> { host, guest, chars, stage }
+
+function makeCode() {
+  for (;;) {
+    let code = "";
+    for (let i = 0; i < 4; i++) code += CODE_CHARS[crypto.randomInt(CODE_CHARS.length)];
+    if (!rooms.has(code)) return code;
+  }
+}
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+class Peer {
+  constructor(socket) {
+    this.socket = socket;
+    this.buf = Buffer.alloc(0);
+    this.fragments = [];
+    this.room = null;
+    this.closed = false;
+    socket.on("data", (chunk) => this._onData(chunk));
+    socket.on("close", () => this._onClose());
+    socket.on("error", () => socket.destroy());
+  }
+
+  send(msg) {
+    if (!this.closed) this.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(msg))));
+  }
+
+  close() {
+    if (this.closed) return;
+    this.socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+    this._onClose();
+  }
+
+  _onData(chunk) {
+    this.buf = Buffer.concat([this.buf, chunk]);
+    for (;;) {
+      if (this.buf.length < 2) return;
+      const fin = (this.buf[0] & 0x80) !== 0;
+      const opcode = this.buf[0] & 0x0f;
+      const masked = (this.buf[1] & 0x80) !== 0;
+      let len = this.buf[1] & 0x7f;
+      let at = 2;
+      if (len === 126) {
+        if (this.buf.length < 4) return;
+        len = this.buf.readUInt16BE(2);
+        at = 4;
+      } else if (len === 127) {
+        if (this.buf.length < 10) return;
+        len = Number(this.buf.readBigUInt64BE(2));
+        at = 10;
+      }
+      // Browsers always mask what they send; anything else isn't a browser.
+      if (!masked || len > MAX_PAYLOAD) {
+        this.close();
+        return;
+      }
+      if (this.buf.length < at + 4 + len) return;
+      const mask = this.buf.subarray(at, at + 4);
+      const payload = Buffer.from(this.buf.subarray(at + 4, at + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      this.buf = this.buf.subarray(at + 4 + len);
+      this._onFrame(fin, opcode, payload);
+      if (this.closed) return;
+    }
+  }
+
+  _onFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case 0x0: // continuation
+      case 0x1: // text
+        this.fragments.push(payload);
+        if (!fin) return;
+        this._onText(Buffer.concat(this.fragments).toString("utf8"));
+        this.fragments = [];
+        return;
+      case 0x8:
+        this.close();
+        return;
+      case 0x9:
+        this.socket.write(encodeFrame(0xa, payload));
+        return;
+      default:
+        return; // binary and pongs are ignored
+    }
+  }
+
+  _onText(text) {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch (_) {
+      return;
+    }
+    if (!msg || typeof msg !== "object") return;
+
+    const room = this.room;
+    if (room && room.guest) {
+      const other = room.host === this ? room.guest : room.host;
+      other.send(msg);
+      return;
+    }
+
+    if (msg.t === "create" && !room) {
+      const code = makeCode();
+      this.room = { code, host: this, guest: null, chars: [String(msg.char || "rohan"), null], stage: msg.stage ? String(msg.stage) : null };
+      rooms.set(code, this.room);
+      this.send({ t: "room", code });
+      log(`room ${code} created`);
+    } else if (msg.t === "join" && !room) {
+      const code = String(msg.code || "").toUpperCase();
+      const target = rooms.get(code);
+      if (!target) {
+        this.send({ t: "error", msg: `No room ${code}` });
+        return;
+      }
+      if (target.guest) {
+        this.send({ t: "error", msg: `Room ${code} is full` });
+        return;
+      }
+      target.guest = this;
+      target.chars[1] = String(msg.char || "dev");
+      this.room = target;
+      const seed = crypto.randomBytes(4).readUInt32LE(0);
+      target.host.send({ t: "start", seed, chars: target.chars, stage: target.stage, side: 0 });
+      target.guest.send({ t: "start", seed, chars: target.chars, stage: target.stage, side: 1 });
+      log(`room ${code} started (${target.chars.join(" vs ")})`);
+    }
+  }
+
+  _onClose() {
+    if (this.closed) return;
+    this.closed = true;
+    const room = this.room;
+    if (!room) return;
+    const other = room.host === this ? room.guest : room.host;
+    rooms.delete(room.code);
+    this.room = null;
+    if (other) {
+      other.send({ t: "left" });
+      other.room = null;
+    }
+    log(`room ${room.code} closed`);
+  }
+}
+
+function log(line) {
+  console.log(`[relay] ${line}`);
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
+  res.end("Funny Fight relay. Connect with a WebSocket.\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+  new Peer(socket);
+});
+
+server.listen(PORT, () => log(`listening on ws://localhost:${PORT}`));
@@ -6,14 +6,26 @@
   const rand = (a, b) => a + Math.random() * (b - a);
   const now = () => performance.now();
 
-  function rectsOverlap(a, b) {
-    return (
-      a.x < b.x + b.w &&
-      a.x + a.w > b.x &&
-      a.y < b.y + b.h &&
-      a.y + a.h > b.y
-    );
-  }
+  const {
+    Sim,
+    BTN,
+    CHAR,
+    STAGES,
+    fighterHeightNow,
+    fighterHurtboxWorld,
+    attackHitboxWorld,
+    projectileBoxWorld,
+    ReplayRecorder,
+    ReplayPlayer,
+    parseReplay,
+    frameData,
+    loadCharacters,
+    loadStages,
+    GUARD_MAX,
+  } = window.FunnyFightSim;
+  const { RollbackSession, NetClient } = window.FunnyFightNet;
+  const { loadSprites, pickFrame } = window.FunnyFightSprites;
+  const { poseFor, lerpPose, solveRig } = window.FunnyFightRig;
 
   function noteFreq(note) {
     // note like "E2", "A#3"
@@ -50,8 +62,7 @@
       this._tickTimer = null;
       this._nextNoteTime = 0;
       this._step = 0;
-      this._tempo = 148;
-      this._swing = 0.12;
+      this._track = null; // { tempo, swing, bass, lead }: the current stage's music
 
       this._noise = null;
     }
@@ -124,6 +135,11 @@
       this._tickTimer = window.setInterval(() => this._scheduler(), 25);
     }
 
+    // Swaps the tune in place (the beat carries on from the same step).
+    setTrack(track) {
+      this._track = track;
+    }
+
     stopMusic() {
       if (this._tickTimer) {
         window.clearInterval(this._tickTimer);
@@ -135,29 +151,23 @@
     _scheduler() {
       if (!this.ctx) return;
       const scheduleAhead = 0.14;
+      const track = this._track;
+      if (!track) {
+        this._nextNoteTime = this.ctx.currentTime;
+        return;
+      }
       while (this._nextNoteTime < this.ctx.currentTime + scheduleAhead) {
         this._scheduleStep(this._step, this._nextNoteTime);
-        const baseStepDur = (60 / this._tempo) / 4; // 16th
-        const swing = (this._step % 2 === 1 ? this._swing : -this._swing) * baseStepDur;
+        const baseStepDur = (60 / track.tempo) / 4; // 16th
+        const swing = (this._step % 2 === 1 ? track.swing : -track.swing) * baseStepDur;
         this._nextNoteTime += baseStepDur + swing;
         this._step = (this._step + 1) % 32;
       }
     }
 
     _scheduleStep(step, t) {
-      // Patterns are intentionally cheesy.
-      const bass = [
-        "E2", 0, "E2", 0, "G2", 0, "E2", 0,
-        "A1", 0, "A1", 0, "B1", 0, "C2", 0,
-        "E2", 0, "E2", 0, "G2", 0, "E2", 0,
-        "D2", 0, "D2", 0, "C2", 0, "B1", 0,
-      ];
-      const lead = [
-        0, 0, "E4", 0, 0, "G4", 0, 0,
-        "A4", 0, 0, "B4", 0, 0, "C5", 0,
-        0, 0, "B4", 0, 0, "A4", 0, 0,
-        "G4", 0, 0, "E4", 0, 0, "D4", 0,
-      ];
+      // Patterns come from the stage file (and are intentionally cheesy).
+      const { bass, lead } = this._track;
 
       const b = bass[step];
       if (b) this._tone({ t, freq: noteFreq(b), dur: 0.11, type: "square", gain: 0.15, cut: 650 });
@@ -309,6 +319,14 @@
         case "ko":
           this._whoop(t, 0.45, 120, 60, 0.40);
           break;
+        case "parry":
+          this._whoop(t, 0.08, 1320, 2640, 0.22);
+          this._thwack(t + 0.02, 0.06, 1760, 0.12);
+          break;
+        case "crush":
+          this._hitNoise(t, 0.14, 0.36 * intensity);
+          this._whoop(t + 0.02, 0.30, 880, 110, 0.30);
+          break;
         default:
           break;
       }
@@ -403,6 +421,12 @@
     }
   }
 
+  // Whether `el` is a field the player types text into.
+  const TEXT_INPUTS = ["text", "url", "number", "search"];
+  function typingIn(el) {
+    return !!el && (el.tagName === "TEXTAREA" || (el.tagName === "INPUT" && TEXT_INPUTS.includes(el.type)));
+  }
+
   class Input {
     constructor() {
       this.down = new Set();
@@ -418,15 +442,20 @@
       window.removeEventListener("keyup", this._boundUp);
     }
 
+    // Keys are tracked by KeyboardEvent.code (physical position), so bindings
+    // survive AZERTY/Dvorak layouts. Keys typed into a text field (the lobby's room
+    // code and relay address) are its own, not the game's; a focused select or
+    // checkbox still lets them through.
     _onDown(e) {
-      const k = e.key;
+      if (typingIn(e.target)) return;
+      const k = e.code;
       if (!this.down.has(k)) this.pressed.add(k);
       this.down.add(k);
-      if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", " "].includes(k)) e.preventDefault();
+      if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Space"].includes(k)) e.preventDefault();
     }
 
     _onUp(e) {
-      this.down.delete(e.key);
+      this.down.delete(e.code);
     }
 
     consumePressed(k) {
@@ -444,6 +473,112 @@
     isDown(k) {
       return this.down.has(k);
     }
+
+    anyDown(keys) {
+      return keys.some((k) => this.down.has(k));
+    }
+
+    // Consumes at most one of the keys, like chaining consumePressed with ||.
+    consumeAny(keys) {
+      return keys.some((k) => this.consumePressed(k));
+    }
+  }
+
+  // Standard-mapping gamepad indices (https://w3c.github.io/gamepad/#remapping).
+  const PAD_BUTTONS = {
+    kick: 0, // A / Cross
+    throw: 1, // B / Circle
+    punch: 2, // X / Square
+    special: 3, // Y / Triangle
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15,
+  };
+  const PAD_DEADZONE = 0.35;
+  const PAD_ACTIONS = ["left", "right", "up", "down", "punch", "kick", "special", "throw"];
+
+  class Gamepads {
+    constructor() {
+      this.assign = new Map(); // pad index -> "L" | "R" | "off"
+      this.pads = new Map(); // pad index -> { id, held, pressed }
+      this.onChange = null;
+      this._boundConnect = (e) => this._onConnect(e.gamepad);
+      this._boundDisconnect = (e) => this._onDisconnect(e.gamepad);
+      window.addEventListener("gamepadconnected", this._boundConnect);
+      window.addEventListener("gamepaddisconnected", this._boundDisconnect);
+    }
+
+    destroy() {
+      window.removeEventListener("gamepadconnected", this._boundConnect);
+      window.removeEventListener("gamepaddisconnected", this._boundDisconnect);
+    }
+
+    _onConnect(pad) {
+      if (!this.assign.has(pad.index)) {
+        // First pad is Player 1, second Player 2; extras start unassigned.
+        const taken = new Set(this.assign.values());
+        this.assign.set(pad.index, !taken.has("L") ? "L" : !taken.has("R") ? "R" : "off");
+      }
+      this.pads.set(pad.index, { id: pad.id, held: {}, pressed: new Set() });
+      if (this.onChange) this.onChange();
+    }
+
+    _onDisconnect(pad) {
+      this.pads.delete(pad.index);
+      this.assign.delete(pad.index);
+      if (this.onChange) this.onChange();
+    }
+
+    setSide(index, side) {
+      this.assign.set(index, side === "L" || side === "R" ? side : "off");
+    }
+
+    list() {
+      return Array.from(this.pads.entries()).map(([index, p]) => ({ index, id: p.id, side: this.assign.get(index) || "off" }));
+    }
+
+    poll() {
+      if (!this.pads.size || !navigator.getGamepads) return;
+      const pads = navigator.getGamepads();
+      for (const pad of pads) {
+        if (!pad || !pad.connected) continue;
+        const entry = this.pads.get(pad.index);
+        if (!entry) continue;
+
+        const btn = (i) => !!(pad.buttons[i] && pad.buttons[i].pressed);
+        const ax = pad.axes[0] || 0;
+        const ay = pad.axes[1] || 0;
+        const held = {
+          left: btn(PAD_BUTTONS.left) || ax < -PAD_DEADZONE,
+          right: btn(PAD_BUTTONS.right) || ax > PAD_DEADZONE,
+          up: btn(PAD_BUTTONS.up) || ay < -PAD_DEADZONE,
+          down: btn(PAD_BUTTONS.down) || ay > PAD_DEADZONE,
+          punch: btn(PAD_BUTTONS.punch),
+          kick: btn(PAD_BUTTONS.kick),
+          special: btn(PAD_BUTTONS.special),
+          throw: btn(PAD_BUTTONS.throw),
+        };
+        for (const a of PAD_ACTIONS) {
+          if (held[a] && !entry.held[a]) entry.pressed.add(a);
+        }
+        entry.held = held;
+      }
+    }
+
+    // Merged state of every pad assigned to a side. Presses are consumed by the read.
+    read(side) {
+      const out = { held: {}, pressed: {} };
+      for (const [index, entry] of this.pads) {
+        if (this.assign.get(index) !== side) continue;
+        for (const a of PAD_ACTIONS) {
+          if (entry.held[a]) out.held[a] = true;
+          if (entry.pressed.has(a)) out.pressed[a] = true;
+        }
+        entry.pressed.clear();
+      }
+      return out;
+    }
   }
 
   const VIEW_W = 480;
@@ -451,289 +586,210 @@
   const CANVAS_W = 960;
   const CANVAS_H = 540;
 
-  const STAGE_W = 1900;
-  const FLOOR_Y = 228;
-  const GRAV = 1500;
-
-  const CHAR = {
-    rohan: {
-      id: "rohan",
-      name: "ROHAN",
-      ui: "ROHAN",
-      c1: "#00e5ff",
-      c2: "#b2ff59",
-      speed: 318,
-      jump: 700,
-      dash: 880,
-      backdash: 780,
-      punch: { dmg: 7, kb: 200 },
-      kick: { dmg: 10, kb: 255 },
-      sweep: { dmg: 12, kb: 220, kd: 0.62 },
-      airPunch: { dmg: 6, kb: 165 },
-      airKick: { dmg: 9, kb: 215 },
-      throw: { dmg: 12, kb: 360, kd: 0.55 },
-      special: { dmg: 14, kb: 210 },
-      super: { dmg: 28, kb: 420 },
+  const FLOOR_Y = 228; // until a stage is loaded; then the stage's floorY
+  const CLASSIC_STAGE = "city"; // drawn for matches with no stage (older replays)
+  const POSE_BLEND = 0.06; // seconds to ease a procedural fighter between states
+  const RESET_FLIP = 0.4; // seconds for the backflip out of an air reset
+
+  // Keyboard layouts, as KeyboardEvent.code values. "solo" is the roomy layout used
+  // against the CPU; "p1"/"p2" split the board so two people can share one keyboard.
+  // "global" holds the system keys. Players can remap all of these (see loadBindings).
+  const DEFAULT_BINDINGS = {
+    solo: {
+      left: ["KeyA", "ArrowLeft"],
+      right: ["KeyD", "ArrowRight"],
+      down: ["KeyS", "ArrowDown"],
+      jump: ["KeyW", "ArrowUp", "Space"],
+      punch: ["KeyJ", "KeyZ"],
+      kick: ["KeyK", "KeyX"],
+      special: ["KeyL", "KeyC"],
+      throw: ["KeyI", "KeyV"],
+    },
+    p1: {
+      left: ["KeyA"],
+      right: ["KeyD"],
+      down: ["KeyS"],
+      jump: ["KeyW"],
+      punch: ["KeyF"],
+      kick: ["KeyG"],
+      special: ["KeyH"],
+      throw: ["KeyT"],
     },
-    dev: {
-      id: "dev",
-      name: "DEV",
-      ui: "DEV",
-      c1: "#ff3d8d",
-      c2: "#ffd740",
-      speed: 300,
-      jump: 670,
-      dash: 820,
-      backdash: 720,
-      punch: { dmg: 8, kb: 210 },
-      kick: { dmg: 12, kb: 275 },
-      sweep: { dmg: 14, kb: 235, kd: 0.68 },
-      airPunch: { dmg: 7, kb: 175 },
-      airKick: { dmg: 10, kb: 225 },
-      throw: { dmg: 13, kb: 380, kd: 0.60 },
-      special: { dmg: 16, kb: 230 },
-      super: { dmg: 32, kb: 440 },
+    p2: {
+      left: ["ArrowLeft"],
+      right: ["ArrowRight"],
+      down: ["ArrowDown"],
+      jump: ["ArrowUp"],
+      punch: ["Numpad1"],
+      kick: ["Numpad2"],
+      special: ["Numpad3"],
+      throw: ["Numpad0"],
+    },
+    global: {
+      mute: ["KeyM"],
+      sfx: ["KeyN"],
+      restart: ["KeyR"],
+      reset: ["Enter"],
+      debug: ["Backquote"],
     },
   };
 
-  const MOVES = {
-    punch: { kind: "melee", startup: 0.07, active: 0.09, recovery: 0.12, range: 56, h: 30, yOff: -6, hitstop: 0.045, hitstun: 0.20 },
-    kick: { kind: "melee", startup: 0.10, active: 0.11, recovery: 0.16, range: 78, h: 38, yOff: -2, hitstop: 0.055, hitstun: 0.23 },
-    sweep: { kind: "melee", startup: 0.14, active: 0.10, recovery: 0.24, range: 92, h: 24, yOff: 18, hitstop: 0.060, hitstun: 0.26, knockdown: 0.62 },
-    airPunch: { kind: "melee", startup: 0.05, active: 0.11, recovery: 0.14, range: 54, h: 28, yOff: -18, hitstop: 0.040, hitstun: 0.20, air: true },
-    airKick: { kind: "melee", startup: 0.07, active: 0.12, recovery: 0.16, range: 66, h: 34, yOff: -16, hitstop: 0.050, hitstun: 0.22, air: true },
-    throw: { kind: "throw", startup: 0.06, active: 0.07, recovery: 0.32, range: 48, h: 54, yOff: -4, hitstop: 0.070, hitstun: 0.28, knockdown: 0.55 },
-    special: { kind: "projectile", startup: 0.16, active: 0.02, recovery: 0.24, cost: 45, cooldown: 0.90, proj: { speed: 520, life: 1.15, w: 30, h: 16 }, hitstop: 0.030 },
-    super: { kind: "projectile", startup: 0.20, active: 0.02, recovery: 0.42, cost: 100, cooldown: 2.20, proj: { speed: 650, life: 1.35, w: 62, h: 22 }, hitstop: 0.040 },
+  const BIND_ACTIONS = {
+    fighter: [
+      ["left", "Move left"],
+      ["right", "Move right"],
+      ["jump", "Jump"],
+      ["down", "Crouch / Block"],
+      ["punch", "Punch"],
+      ["kick", "Kick"],
+      ["special", "Special"],
+      ["throw", "Throw"],
+    ],
+    global: [
+      ["mute", "Mute music"],
+      ["sfx", "Toggle SFX"],
+      ["restart", "Restart"],
+      ["reset", "Training reset"],
+      ["debug", "Hitbox overlay"],
+    ],
   };
+  const BIND_SLOTS = 3;
+  const BINDINGS_KEY = "funnyFight.bindings.v1";
 
-  const BUF_TIME = 0.14;
-  const DASH_TIME = 0.14;
-  const DASH_CD = 0.38;
-  const THROW_CD = 0.65;
-
-  function makeFighter(charId, x, side) {
-    const c = CHAR[charId];
-    return {
-      charId,
-      name: c.name,
-      ui: c.ui,
-      c1: c.c1,
-      c2: c.c2,
-      speed: c.speed,
-      jump: c.jump,
-
-      x,
-      y: 0,
-      vx: 0,
-      vy: 0,
-      facing: side, // 1 => right, -1 => left
-
-      w: 46,
-      h: 92,
-      hp: 100,
-      hpBack: 100,
-      energy: 0,
-      energyMax: 100,
-
-      crouch: false,
-      dashT: 0,
-      dashDir: 0,
-      dashCooldown: 0,
-      throwCooldown: 0,
-      knockdownT: 0,
-      knockdownSlide: 0,
-
-      comboHits: 0,
-      comboT: 0,
-
-      // Small input buffer for snappier feel (fighting games buffer inputs).
-      buf: { jump: 0, punch: 0, kick: 0, special: 0, throw: 0 },
-      lastTapL: -9999,
-      lastTapR: -9999,
-
-      state: "idle",
-      stateT: 0,
-      onGround: true,
-      hitstunT: 0,
-      invulnT: 0,
-
-      attack: null,
-      attackHit: false,
-      specialCooldown: 0,
-
-      ai: { thinkT: 0, lastIntent: null },
-    };
-  }
-
-  function fighterHurtbox(f, camX) {
-    const hh = fighterHeightNow(f);
-    return {
-      x: f.x - f.w / 2 - camX,
-      y: FLOOR_Y - hh - f.y,
-      w: f.w,
-      h: hh,
-    };
-  }
-
-  function fighterHeightNow(f) {
-    if (f.knockdownT > 0) return 46;
-    if (f.crouch && f.onGround) return 72;
-    return f.h;
-  }
-
-  function fighterHurtboxWorld(f) {
-    const hh = fighterHeightNow(f);
-    return {
-      x: f.x - f.w / 2,
-      y: -f.y - hh, // relative to floor, y up => negative down
-      w: f.w,
-      h: hh,
-    };
-  }
-
-  function attackHitboxWorld(f, moveName) {
-    const m = MOVES[moveName];
-    if (!m) return null;
-    if (m.kind !== "melee" && m.kind !== "throw") return null;
-    const forward = f.facing;
-    const range = m.range;
-    const hx = f.x + forward * (f.w * 0.35 + range * 0.5) - (range * 0.5);
-    const fh = fighterHeightNow(f);
-    const anchor = 0.72;
-    const hy = -f.y - (fh * anchor) - (m.h * 0.5) + (m.yOff || 0);
-    return { x: hx, y: hy, w: range, h: m.h };
-  }
+  // Bindings that are live at the same time and therefore must not share a key.
+  const BIND_SCOPES = [
+    ["solo", "global"],
+    ["p1", "p2", "global"],
+  ];
 
-  function isBlocking(defender, attacker) {
-    // Block when holding away + down (classic-ish), but keep it forgiving.
-    if (!defender.onGround) return false;
-    if (defender.knockdownT > 0) return false;
-    if (defender.attack) return false;
-    const awayDir = attacker.x > defender.x ? -1 : 1; // which direction is "away" from attacker
-    return defender._blockHeld && defender._moveDir === awayDir;
+  function cloneBindings(b) {
+    return JSON.parse(JSON.stringify(b));
   }
 
-  function aiDiff(diff) {
-    switch (diff) {
-      case "easy":
-        return 0.45;
-      case "hard":
-        return 0.82;
-      case "boss":
-        return 0.95;
-      case "normal":
-      default:
-        return 0.65;
+  function loadBindings() {
+    const out = cloneBindings(DEFAULT_BINDINGS);
+    let saved = null;
+    try {
+      saved = JSON.parse(window.localStorage.getItem(BINDINGS_KEY) || "null");
+    } catch (_) {
+      // ignore (private mode, corrupt JSON)
+    }
+    if (!saved || typeof saved !== "object") return out;
+    for (const profile of Object.keys(out)) {
+      const src = saved[profile];
+      if (!src || typeof src !== "object") continue;
+      for (const action of Object.keys(out[profile])) {
+        const keys = src[action];
+        if (!Array.isArray(keys)) continue;
+        out[profile][action] = keys.filter((k) => typeof k === "string" && k).slice(0, BIND_SLOTS);
+      }
     }
+    return out;
   }
 
-  function aiInput(state, me, them, dt, difficulty) {
-    const d = aiDiff(difficulty);
-    const out = {
-      move: 0,
-      down: false,
-      block: false,
-      crouch: false,
-      dash: 0,
-      jump: false,
-      punch: false,
-      kick: false,
-      special: false,
-      throw: false,
-    };
-
-    if (state.phase !== "fight") return out;
-    if (me.hp <= 0 || them.hp <= 0) return out;
-
-    // Short "brain tick" to feel more arcade and less perfect.
-    me.ai.thinkT = Math.max(0, me.ai.thinkT - dt);
-    if (me.ai.thinkT > 0) {
-      if (me.ai.lastIntent) return { ...out, ...me.ai.lastIntent };
-      return out;
-    }
-    me.ai.thinkT = lerp(0.28, 0.10, d) + rand(0, 0.05);
-
-    const dx = them.x - me.x;
-    const dist = Math.abs(dx);
-    const toward = dx > 0 ? 1 : -1;
-    const away = -toward;
-
-    const inThrow = dist < 60;
-    const inPunch = dist < 96;
-    const inKick = dist < 128;
-    const inSweep = dist < 138;
-    const inSpecial = dist > 150 && dist < 480;
-
-    const themAir = !them.onGround && them.y > 6;
-
-    // Defense: react to active attacks.
-    if (them.attack && dist < 160 && Math.random() < lerp(0.18, 0.62, d)) {
-      out.block = true;
-      out.move = away;
-      me.ai.lastIntent = out;
-      return out;
-    }
-
-    // Anti-air: if opponent jumps in, smack them.
-    if (themAir && dist < 130 && me.onGround && Math.random() < lerp(0.05, 0.22, d)) {
-      out.punch = true;
-      out.move = toward;
-      me.ai.lastIntent = out;
-      return out;
-    }
-
-    // Neutral movement: keep a "sweet spot" distance.
-    const sweet = lerp(165, 120, d);
-    if (dist > sweet + 30) out.move = toward;
-    if (dist < sweet - 45) out.move = away;
-
-    // Dash decisions: close distance or disengage.
-    if (me.onGround && me.dashCooldown <= 0) {
-      if (dist > 260 && Math.random() < lerp(0.02, 0.07, d)) out.dash = toward;
-      if (dist < 95 && Math.random() < lerp(0.01, 0.05, d)) out.dash = away;
+  function saveBindings(b) {
+    try {
+      window.localStorage.setItem(BINDINGS_KEY, JSON.stringify(b));
+    } catch (_) {
+      // ignore
     }
+  }
 
-    // Special / Super (zoning)
-    if (!me.attack && me.specialCooldown <= 0 && inSpecial) {
-      const wantSuper = me.energy >= 100 && Math.random() < lerp(0.010, 0.040, d);
-      const wantSpecial = me.energy >= 45 && Math.random() < lerp(0.012, 0.040, d);
-      if (wantSuper || wantSpecial) {
-        out.special = true;
-        out.move = 0;
-        me.ai.lastIntent = out;
-        return out;
+  // Returns [{ code, a: "p1.punch", b: "p2.kick" }] for every key bound twice within a scope.
+  function findConflicts(b) {
+    const out = [];
+    const seen = new Set();
+    for (const scope of BIND_SCOPES) {
+      const owner = new Map();
+      for (const profile of scope) {
+        for (const [action, keys] of Object.entries(b[profile])) {
+          for (const code of keys) {
+            const here = profile + "." + action;
+            const prev = owner.get(code);
+            if (prev && prev !== here) {
+              const id = [code, prev, here].join("|");
+              if (!seen.has(id)) {
+                seen.add(id);
+                out.push({ code, a: prev, b: here });
+              }
+            } else {
+              owner.set(code, here);
+            }
+          }
+        }
       }
     }
+    return out;
+  }
 
-    // Throws: punish blocking / close quarters
-    if (!me.attack && me.throwCooldown <= 0 && inThrow && me.onGround && them.onGround && Math.random() < lerp(0.015, 0.065, d)) {
-      out.throw = true;
-      out.move = toward;
-      me.ai.lastIntent = out;
-      return out;
-    }
+  const KEY_LABELS = {
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    Space: "Space",
+    Enter: "Enter",
+    ShiftLeft: "L-Shift",
+    ShiftRight: "R-Shift",
+    ControlLeft: "L-Ctrl",
+    ControlRight: "R-Ctrl",
+    AltLeft: "L-Alt",
+    AltRight: "R-Alt",
+    Semicolon: ";",
+    Quote: "'",
+    Comma: ",",
+    Period: ".",
+    Slash: "/",
+    Backslash: "\\",
+    BracketLeft: "[",
+    BracketRight: "]",
+    Minus: "-",
+    Equal: "=",
+    Backquote: "`",
+    NumpadEnter: "Num Enter",
+    NumpadAdd: "Num +",
+    NumpadSubtract: "Num -",
+    NumpadMultiply: "Num *",
+    NumpadDivide: "Num /",
+    NumpadDecimal: "Num .",
+  };
 
-    // Sweeps: low-risk trip when close.
-    if (!me.attack && inSweep && me.onGround && Math.random() < lerp(0.010, 0.050, d)) {
-      out.kick = true;
-      out.crouch = true;
-      out.down = true;
-      me.ai.lastIntent = out;
-      return out;
-    }
+  function keyLabel(code) {
+    if (!code) return "—";
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad\d$/.test(code)) return "Num " + code.slice(6);
+    return code;
+  }
 
-    // Melee: basic pressure.
-    if (!me.attack) {
-      if (inPunch && Math.random() < lerp(0.020, 0.085, d)) out.punch = true;
-      else if (inKick && Math.random() < lerp(0.015, 0.070, d)) out.kick = true;
-    }
+  function keysLabel(keys, sep = " or ") {
+    return keys.length ? keys.map(keyLabel).join(sep) : "unbound";
+  }
 
-    // Dumb jumps (keeps it arcade).
-    if (me.onGround && dist < 260 && Math.random() < lerp(0.0015, 0.0060, d)) out.jump = true;
+  // Frame advantage the way players write it: "+3", "−8" (a real minus sign), "±0".
+  function formatAdvantage(frames) {
+    if (frames > 0) return `+${frames}`;
+    if (frames < 0) return `−${-frames}`;
+    return "±0";
+  }
 
-    me.ai.lastIntent = out;
-    return out;
+  // Fighter controls that read a keyboard / pad (see Sim: the rest think for themselves).
+  const HUMAN_CONTROLS = ["solo", "p1", "p2"];
+
+  function controlLabel(control) {
+    switch (control) {
+      case "cpu":
+        return "CPU";
+      case "dummy":
+        return "DUMMY";
+      case "p2":
+        return "P2";
+      case "p1":
+      case "solo":
+      default:
+        return "P1";
+    }
   }
 
   class Game {
@@ -750,147 +806,237 @@
       this.offCtx = this.off.getContext("2d", { alpha: false });
 
       this.input = new Input();
+      this.pads = new Gamepads();
+      this.bindings = loadBindings();
 
       this.cameraX = 0;
       this.shake = 0;
       this.shakeX = 0;
       this.shakeY = 0;
 
-      this.projectiles = [];
       this.particles = [];
-
-      this.hitstopT = 0;
       this.flashT = 0;
-
-      this.state = {
-        phase: "pick", // pick|intro|fight|ko
-        msg: "",
-        msgT: 0,
-        timer: 99,
-        introT: 0,
-        koT: 0,
-      };
+      this.debug = false; // hitbox / hurtbox overlay
+      this.advFlash = null; // last frame-advantage readout: { text, frames, t }
+      this.callouts = [null, null]; // per side: { text, t } shown in place of the combo counter
+
+      // Sprite sheets by character id (see sprites.js); fighters without one are
+      // drawn from the rig (rig.js). animClock tracks when each fighter's animation
+      // began, plus the rig pose last drawn and the one it's easing from.
+      // spriteErrors says why any sheet was skipped; the hitbox overlay lists them.
+      this.sprites = {};
+      this.spriteErrors = [];
+      this.animClock = [0, 1].map(() => ({ name: null, since: 0, pose: null, from: null }));
+
+      // The running match (see sim.js). null while the pick screen is up.
+      this.sim = null;
+
+      // Replays: the live match is recorded tick by tick; playback swaps keyboard
+      // and pad reads for the recorded masks.
+      this.recorder = null;
+      this.lastReplay = null;
+      this.playback = null; // { player, replay, paused, speed, steps }
+      this.onReplayChange = null;
+
+      // Online match: { client, session } (see netplay.js). null offline.
+      this.net = null;
+      this.onNetChange = null;
 
       this.players = {
         human: null,
-        ai: null,
+        opponent: null, // CPU, P2 or dummy
       };
 
       this.match = {
-        bestOf: 3,
-        winsL: 0,
-        winsR: 0,
-        round: 1,
-        over: false,
+        mode: "cpu", // cpu|pvp|training|online
         difficulty: "normal",
+        training: null, // training options (see TRAINING_DEFAULTS in sim.js)
+        side: "left", // where the human starts
+        stage: null, // STAGES id
+        simple: true, // one-button specials (see setHuman)
       };
 
-      this.f1 = null;
-      this.f2 = null;
-
       this._last = now();
       this._acc = 0;
       this._running = false;
 
-      // Simple background flavor
-      this._skyline = this._makeSkyline();
-      this._stars = this._makeStars();
-    }
-
-    _makeSkyline() {
-      const blocks = [];
-      let x = 0;
-      while (x < STAGE_W) {
-        const w = rand(28, 86);
-        const h = rand(34, 120);
-        blocks.push({ x, w, h, r: Math.random() });
-        x += w + rand(6, 20);
+      // Backdrop: the stage being drawn (see setStage) and its rolled scenery.
+      this.stage = null;
+      this.floorY = FLOOR_Y;
+      this._scenery = [];
+    }
+
+    // Switches the backdrop (and music) to a stage from sim.js's STAGES. Random bits
+    // of scenery (buildings, stars, clouds, peaks) are rolled once per layer here.
+    setStage(stage) {
+      if (!stage || stage === this.stage) return;
+      this.stage = stage;
+      this.floorY = stage.floorY;
+      this._scenery = stage.layers.map((layer) => this._buildLayer(stage, layer));
+      this.audio.setTrack(stage.music);
+    }
+
+    _buildLayer(stage, layer) {
+      // A layer scrolls `scroll` px per camera px, so it needs this much width.
+      const span = VIEW_W + (stage.width - VIEW_W) * layer.scroll + 40;
+      const items = [];
+      switch (layer.kind) {
+        case "stars":
+          for (let i = 0; i < layer.count; i++) {
+            items.push({ x: rand(0, span), y: rand(0, layer.height), a: rand(0.25, 0.95), tw: rand(0.6, 1.8) });
+          }
+          break;
+        case "skyline":
+          for (let x = -20; x < span; ) {
+            const w = rand(28, 86);
+            items.push({ x, w, h: rand(layer.minH, layer.maxH), r: Math.random() });
+            x += w + rand(6, 20);
+          }
+          break;
+        case "mountains":
+          for (let x = -40; x < span + 60; x += rand(30, 70)) items.push({ x, h: rand(0.35, 1) * layer.height });
+          break;
+        case "clouds":
+          for (let i = 0; i < layer.count; i++) {
+            items.push({ x: rand(0, span), y: rand(layer.top, layer.bottom), w: rand(30, 70), speed: rand(0.6, 1.4) });
+          }
+          break;
+        default:
+          break;
       }
-      return blocks;
+      return { span, items };
     }
 
-    _makeStars() {
-      const n = 80;
-      const s = [];
-      for (let i = 0; i < n; i++) {
-        s.push({
-          x: rand(0, STAGE_W),
-          y: rand(0, 110),
-          a: rand(0.25, 0.95),
-          tw: rand(0.6, 1.8),
-        });
-      }
-      return s;
+    // `side` is where the human (P1 in versus) starts: "left" or "right".
+    // `stage` is a STAGES id (null for the classic arena). `simple` gives the
+    // players one-button specials instead of motions.
+    setHuman(charId, opponentId, difficulty = "normal", mode = "cpu", training = null, side = "left", stage = null, simple = true) {
+      const versus = mode === "pvp";
+      const practice = mode === "training";
+      const right = side === "right";
+      const you = versus ? "p1" : "solo";
+      const them = versus ? "p2" : (practice ? "dummy" : "cpu");
+
+      this.players.human = charId;
+      this.players.opponent = opponentId;
+
+      this.match.difficulty = difficulty;
+      this.match.mode = versus ? "pvp" : (practice ? "training" : "cpu");
+      this.match.training = practice ? { ...training } : null;
+      this.match.side = right ? "right" : "left";
+      this.match.stage = stage;
+      this.match.simple = simple;
+
+      this._finishRecording();
+      this._setPlayback(null);
+      this._setNet(null);
+      this._beginMatch(new Sim({
+        seed: (Math.random() * 0x100000000) >>> 0,
+        chars: right ? [opponentId, charId] : [charId, opponentId],
+        control: right ? [them, you] : [you, them],
+        difficulty,
+        training: this.match.training,
+        stage,
+        simple: [simple, simple],
+      }));
+      this.recorder = new ReplayRecorder(this.sim.config);
+    }
+
+    // Plays back a parsed replay (see parseReplay in sim.js) through the normal update/render loop.
+    playReplay(replay) {
+      this._finishRecording();
+      this._setNet(null);
+      const player = new ReplayPlayer(replay);
+      this._beginMatch(player.makeSim());
+      this._setPlayback({ player, replay, paused: false, speed: 1, steps: 0 });
+    }
+
+    setPlaybackPaused(v) {
+      if (!this.playback) return;
+      this.playback.paused = !!v;
+      this._setPlayback(this.playback);
+    }
+
+    setPlaybackSpeed(speed) {
+      if (!this.playback) return;
+      this.playback.speed = clamp(speed, 0.25, 4);
+      this._setPlayback(this.playback);
+    }
+
+    // Advances a paused replay by exactly one tick.
+    stepPlayback() {
+      if (!this.playback || !this.playback.paused) return;
+      this.playback.steps += 1;
+    }
+
+    stopPlayback() {
+      if (this.playback) this._returnToPick();
+    }
+
+    // Starts an online match once the relay has paired us. `client` is the open
+    // NetClient; `start` is the relay's start message ({ seed, chars, side }).
+    startOnline(client, start, inputDelay) {
+      this._finishRecording();
+      this._setPlayback(null);
+      this.match.mode = "online";
+      this._beginMatch(new Sim({ seed: start.seed, chars: start.chars, control: ["p1", "p2"], stage: start.stage || null }));
+
+      const session = new RollbackSession({
+        sim: this.sim,
+        side: start.side,
+        inputDelay,
+        send: (msg) => client.send(msg),
+      });
+      // Only confirmed frames go in the replay; predicted ones may still be rolled back.
+      this.recorder = new ReplayRecorder(this.sim.config);
+      session.onConfirm = (frame, masks) => this.recorder.push(masks);
+      this._setNet({ client, session });
     }
 
-    setHuman(charId, difficulty = "normal") {
-      const leftChar = charId === "rohan" ? "rohan" : "dev";
-      const rightChar = charId === "rohan" ? "dev" : "rohan";
+    stopOnline() {
+      if (this.net) this._returnToPick();
+    }
 
-      // Human starts left for clarity (Street Fighter vibes).
-      this.players.human = leftChar;
-      this.players.ai = rightChar;
+    _setNet(net) {
+      if (this.net && this.net !== net) this.net.client.close();
+      this.net = net;
+      if (this.onNetChange) this.onNetChange(net);
+    }
 
-      this.match.winsL = 0;
-      this.match.winsR = 0;
-      this.match.round = 1;
-      this.match.over = false;
-      this.match.difficulty = difficulty;
+    _setPlayback(pb) {
+      this.playback = pb;
+      if (this.onReplayChange) this.onReplayChange(pb);
+    }
 
-      this.f1 = makeFighter(leftChar, 520, 1);
-      this.f2 = makeFighter(rightChar, 980, -1);
+    _finishRecording() {
+      if (this.recorder && this.recorder.frames > 0) this.lastReplay = this.recorder.toJSON();
+      this.recorder = null;
+    }
 
-      this._startRoundIntro(true);
+    _beginMatch(sim) {
+      this.sim = sim;
+      this.setStage(sim.area || STAGES[CLASSIC_STAGE]);
+      this._handleSimEvents(this.sim.events);
 
-      this.projectiles = [];
       this.particles = [];
-      this.cameraX = clamp(((this.f1.x + this.f2.x) * 0.5) - VIEW_W * 0.5, 0, STAGE_W - VIEW_W);
+      this.cameraX = clamp(((this.f1.x + this.f2.x) * 0.5) - VIEW_W * 0.5, 0, sim.stageW - VIEW_W);
       this.shake = 0;
-      this.hitstopT = 0;
       this.flashT = 0;
+      this.advFlash = null;
+      this.callouts = [null, null];
+      for (const clock of this.animClock) Object.assign(clock, { name: null, pose: null, from: null });
 
       this._syncHudNames();
       this._setHudVisible(true);
       this._syncHud();
     }
 
-    _startRoundIntro(isNewMatch) {
-      // Reset fighters for a new round, keep match wins.
-      if (!this.f1 || !this.f2) return;
-      this.f1.x = 520;
-      this.f2.x = 980;
-      this.f1.y = 0;
-      this.f2.y = 0;
-      this.f1.vx = this.f2.vx = 0;
-      this.f1.vy = this.f2.vy = 0;
-      this.f1.onGround = this.f2.onGround = true;
-      this.f1.crouch = this.f2.crouch = false;
-      this.f1.dashT = this.f2.dashT = 0;
-      this.f1.dashCooldown = this.f2.dashCooldown = 0;
-      this.f1.throwCooldown = this.f2.throwCooldown = 0;
-      this.f1.knockdownT = this.f2.knockdownT = 0;
-      this.f1.hitstunT = this.f2.hitstunT = 0;
-      this.f1.invulnT = this.f2.invulnT = 0;
-      this.f1.attack = this.f2.attack = null;
-      this.f1.attackHit = this.f2.attackHit = false;
-      this.f1.specialCooldown = this.f2.specialCooldown = 0;
-      this.f1.energy = this.f2.energy = 0;
-      this.f1.hp = this.f2.hp = 100;
-      this.f1.hpBack = this.f2.hpBack = 100;
-      this.f1.comboHits = this.f2.comboHits = 0;
-      this.f1.comboT = this.f2.comboT = 0;
-      this.f1.buf = { jump: 0, punch: 0, kick: 0, special: 0, throw: 0 };
-      this.f2.buf = { jump: 0, punch: 0, kick: 0, special: 0, throw: 0 };
-      this.f1.lastTapL = this.f1.lastTapR = -9999;
-      this.f2.lastTapL = this.f2.lastTapR = -9999;
-
-      this.state.phase = "intro";
-      this.state.timer = 99;
-      this.state.introT = 2.4;
-      this.state.koT = 0;
-      this.state.msgT = 1.2;
-      this.state.msg = isNewMatch ? "ROUND 1" : "ROUND " + String(this.match.round);
-      this.audio.sfx("round", 1);
+    get f1() {
+      return this.sim ? this.sim.f1 : null;
+    }
+
+    get f2() {
+      return this.sim ? this.sim.f2 : null;
     }
 
     _setHudVisible(v) {
@@ -902,8 +1048,17 @@
     _syncHudNames() {
       const ln = document.getElementById("hudLeftName");
       const rn = document.getElementById("hudRightName");
+      const lt = document.getElementById("hudLeftTag");
+      const rt = document.getElementById("hudRightTag");
       ln.textContent = this.f1.ui;
       rn.textContent = this.f2.ui;
+      [["hudLeft", this.f1], ["hudRight", this.f2]].forEach(([id, f]) => {
+        const bar = document.getElementById(id);
+        bar.style.setProperty("--fighter", f.c1);
+        bar.style.setProperty("--fighter2", f.c2);
+      });
+      lt.textContent = controlLabel(this.f1.control);
+      rt.textContent = controlLabel(this.f2.control);
     }
 
     start() {
@@ -918,9 +1073,15 @@
     }
 
     restartRound() {
-      if (!this.f1 || !this.f2) return;
-      const humanChar = this.players.human;
-      this.setHuman(humanChar, this.match.difficulty);
+      // Online rematches go back through the lobby; one side can't restart alone.
+      if (!this.sim || this.net) return;
+      if (this.playback) {
+        this.playReplay(this.playback.replay);
+        return;
+      }
+      const { human, opponent } = this.players;
+      const { difficulty, mode, training, side, stage, simple } = this.match;
+      this.setHuman(human, opponent, difficulty, mode, training, side, stage, simple);
     }
 
     _frame() {
@@ -931,6 +1092,13 @@
 
       // Clamp huge pauses.
       dt = Math.min(dt, 0.05);
+
+      // System keys are read per render frame so they still work while a replay is paused.
+      this._readSystemKeys();
+
+      // Replay playback runs the same fixed ticks, just more or fewer per second.
+      const pb = this.playback;
+      if (pb) dt = pb.paused ? 0 : dt * pb.speed;
       this._acc += dt;
 
       const step = 1 / 60;
@@ -938,6 +1106,10 @@
         this._update(step);
         this._acc -= step;
       }
+      while (pb && pb === this.playback && pb.steps > 0) {
+        pb.steps -= 1;
+        this._update(step);
+      }
 
       // "Pressed" keys are one-frame events. Clear once per render frame (not per fixed update).
       this.input.clearPressed();
@@ -946,628 +1118,203 @@
       requestAnimationFrame(() => this._frame());
     }
 
-    _update(dt) {
-      // Global inputs
-      if (this.input.consumePressed("m") || this.input.consumePressed("M")) {
+    _readSystemKeys() {
+      const sys = this.bindings.global;
+      if (this.input.consumeAny(sys.mute)) {
         this.audio.setEnabled(!this.audio.enabled);
         syncMuteButton(this.audio.enabled);
       }
-      if (this.input.consumePressed("n") || this.input.consumePressed("N")) {
+      if (this.input.consumeAny(sys.sfx)) {
         this.audio.setSfxEnabled(!this.audio.sfxEnabled);
         syncSfxButton(this.audio.sfxEnabled);
       }
-      if (this.input.consumePressed("r") || this.input.consumePressed("R")) this.restartRound();
+      if (this.input.consumeAny(sys.debug)) this.setDebug(!this.debug);
+      if (this.input.consumeAny(sys.restart)) this.restartRound();
+    }
+
+    setDebug(v) {
+      this.debug = !!v;
+      syncDebugButton(this.debug);
+    }
 
+    _update(dt) {
       // Flash decays even during hitstop/ko.
       this.flashT = Math.max(0, this.flashT - dt);
-
-      if (!this.f1 || !this.f2) return;
-
-      const human = this.f1; // human on left by design
-      const cpu = this.f2;
-
-      // Inputs (buffered)
-      const humanIn = this._readHumanInput(human, cpu);
-      const cpuIn = aiInput(this.state, cpu, human, dt, this.match.difficulty);
-      this._queueAi(cpu, cpuIn);
-
-      // Hitstop freezes gameplay.
-      if (this.hitstopT > 0) {
-        this.hitstopT = Math.max(0, this.hitstopT - dt);
-        this._syncHud();
-        return;
-      }
-
-      // Phase transitions
-      if (this.state.phase === "intro") {
-        this.state.introT -= dt;
-        const r = this.match.round;
-        if (this.state.introT > 1.65) this.state.msg = "ROUND " + String(r);
-        else if (this.state.introT > 0.95) this.state.msg = "READY";
-        else this.state.msg = "FIGHT";
-        if (this.state.introT <= 0) {
-          this.state.phase = "fight";
-          this.state.msg = "";
+      if (this.advFlash && (this.advFlash.t -= dt) <= 0) this.advFlash = null;
+      this.callouts = this.callouts.map((c) => (c && (c.t -= dt) > 0 ? c : null));
+
+      const sim = this.sim;
+      if (!sim) return;
+
+      // Inputs: one held-buttons mask per fighter; the sim works out presses itself.
+      let events;
+      if (this.net) {
+        // Online, we drive one fighter with the solo bindings; the session fills in
+        // (and later corrects) the other side.
+        const { session } = this.net;
+        this.pads.poll();
+        events = session.advance(this._readMask("solo"));
+        if (session.finished) {
+          this._returnToPick();
+          return;
         }
-      } else if (this.state.phase === "fight") {
-        this.state.timer -= dt;
-        if (this.state.timer <= 0) {
-          this.state.timer = 0;
-          this._enterKO("TIME");
+        if (!events) {
+          this._syncHud();
+          return;
         }
-      } else if (this.state.phase === "ko") {
-        this.state.koT -= dt;
-        if (this.state.koT <= 0) {
-          if (this.match.over) {
+      } else {
+        let masks;
+        if (this.playback) {
+          if (this.playback.player.done) {
             this._returnToPick();
             return;
           }
-          this.match.round += 1;
-          this.projectiles = [];
-          this.particles = [];
-          this.hitstopT = 0;
-          this.flashT = 0;
-          this._startRoundIntro(false);
-        }
-      }
-
-      // Camera
-      const targetCam = clamp(((this.f1.x + this.f2.x) * 0.5) - VIEW_W * 0.5, 0, STAGE_W - VIEW_W);
-      this.cameraX = lerp(this.cameraX, targetCam, 0.10);
-
-      // Shake decay
-      this.shake = Math.max(0, this.shake - dt * 8);
-      const sh = this.shake * 7;
-      this.shakeX = (Math.random() * 2 - 1) * sh;
-      this.shakeY = (Math.random() * 2 - 1) * sh;
-
-      // Face each other
-      this.f1.facing = this.f2.x > this.f1.x ? 1 : -1;
-      this.f2.facing = this.f1.x > this.f2.x ? 1 : -1;
-
-      this._applyInput(human, humanIn, cpu, dt, true);
-      this._applyInput(cpu, cpuIn, human, dt, false);
-
-      // Physics + resolve overlap
-      this._integrate(human, dt);
-      this._integrate(cpu, dt);
-      this._separateFighters(human, cpu);
-
-      // Projectiles
-      this._updateProjectiles(dt);
-      this._updateParticles(dt);
-
-      // Attacks / hits
-      this._resolveAttacks(human, cpu);
-      this._resolveAttacks(cpu, human);
-
-      // KO check
-      if (this.state.phase === "fight") {
-        if (human.hp <= 0 || cpu.hp <= 0) {
-          const winner = human.hp <= 0 ? cpu.name : human.name;
-          this._enterKO(winner);
-        }
-      }
-
-      this._tickHpBack(human, dt);
-      this._tickHpBack(cpu, dt);
-      this._syncHud();
-    }
-
-    _enterKO(winner) {
-      if (this.state.phase === "ko") return;
-      this.state.phase = "ko";
-      this.state.koT = 2.6;
-
-      let winSide = null; // "L" | "R" | null (draw)
-      let winName = "";
-
-      if (winner === "TIME") {
-        if (this.f1.hp === this.f2.hp) {
-          winSide = null;
-          winName = "";
-          this.state.msg = "DRAW";
-        } else if (this.f1.hp > this.f2.hp) {
-          winSide = "L";
-          winName = this.f1.name;
-          this.state.msg = this.f1.name + " WINS";
-        } else {
-          winSide = "R";
-          winName = this.f2.name;
-          this.state.msg = this.f2.name + " WINS";
-        }
-      } else if (winner === this.f1.name) {
-        winSide = "L";
-        winName = this.f1.name;
-        this.state.msg = this.f1.name + " WINS";
-      } else if (winner === this.f2.name) {
-        winSide = "R";
-        winName = this.f2.name;
-        this.state.msg = this.f2.name + " WINS";
-      } else {
-        // Fallback
-        winSide = null;
-        winName = "";
-        this.state.msg = "KO";
-      }
-
-      if (winSide === "L") this.match.winsL += 1;
-      if (winSide === "R") this.match.winsR += 1;
-
-      const toWin = Math.floor(this.match.bestOf / 2) + 1;
-      if (winSide && (this.match.winsL >= toWin || this.match.winsR >= toWin)) {
-        this.match.over = true;
-        this.state.koT = 4.0;
-        this.state.msg = winName ? (winName + " WINS MATCH") : "MATCH OVER";
-      }
-
-      // Stop remaining action immediately.
-      this.projectiles = [];
-      this.f1.attack = null;
-      this.f2.attack = null;
-      this.f1.dashT = this.f2.dashT = 0;
-      this.f1.buf = { jump: 0, punch: 0, kick: 0, special: 0, throw: 0 };
-      this.f2.buf = { jump: 0, punch: 0, kick: 0, special: 0, throw: 0 };
-
-      this.audio.sfx("ko", 1);
-      this.shake = 1.0;
-      this.flashT = Math.max(this.flashT, 0.10);
-      this.f1.hp = Math.max(0, this.f1.hp);
-      this.f2.hp = Math.max(0, this.f2.hp);
-    }
-
-    _readHumanInput(me, them) {
-      const left = this.input.isDown("a") || this.input.isDown("A") || this.input.isDown("ArrowLeft");
-      const right = this.input.isDown("d") || this.input.isDown("D") || this.input.isDown("ArrowRight");
-      const down = this.input.isDown("s") || this.input.isDown("S") || this.input.isDown("ArrowDown");
-
-      const upTap =
-        this.input.consumePressed("w") ||
-        this.input.consumePressed("W") ||
-        this.input.consumePressed("ArrowUp") ||
-        this.input.consumePressed(" ");
-      const punchTap =
-        this.input.consumePressed("j") ||
-        this.input.consumePressed("J") ||
-        this.input.consumePressed("z") ||
-        this.input.consumePressed("Z");
-      const kickTap =
-        this.input.consumePressed("k") ||
-        this.input.consumePressed("K") ||
-        this.input.consumePressed("x") ||
-        this.input.consumePressed("X");
-      const specialTap =
-        this.input.consumePressed("l") ||
-        this.input.consumePressed("L") ||
-        this.input.consumePressed("c") ||
-        this.input.consumePressed("C");
-      const throwTap =
-        this.input.consumePressed("i") ||
-        this.input.consumePressed("I") ||
-        this.input.consumePressed("v") ||
-        this.input.consumePressed("V");
-
-      if (upTap) me.buf.jump = BUF_TIME;
-      if (punchTap) me.buf.punch = BUF_TIME;
-      if (kickTap) me.buf.kick = BUF_TIME;
-      if (specialTap) me.buf.special = BUF_TIME;
-      if (throwTap) me.buf.throw = BUF_TIME;
-
-      let move = 0;
-      if (left && !right) move = -1;
-      if (right && !left) move = 1;
-
-      // Double-tap dash.
-      const leftTap = this.input.consumePressed("a") || this.input.consumePressed("A") || this.input.consumePressed("ArrowLeft");
-      const rightTap = this.input.consumePressed("d") || this.input.consumePressed("D") || this.input.consumePressed("ArrowRight");
-      const t = now();
-      let dash = 0;
-      if (leftTap) {
-        if (t - me.lastTapL < 240) dash = -1;
-        me.lastTapL = t;
-      }
-      if (rightTap) {
-        if (t - me.lastTapR < 240) dash = 1;
-        me.lastTapR = t;
-      }
-
-      // Translate "block" as down+away (Street Fighter-ish). Crouch is down without away.
-      const awayDir = them.x > me.x ? -1 : 1;
-      const block = !!down && move === awayDir;
-      const crouch = !!down && !block;
-
-      return { move, down: !!down, block, crouch, dash };
-    }
-
-    _queueAi(me, aiIn) {
-      if (!aiIn) return;
-      if (aiIn.jump) me.buf.jump = BUF_TIME;
-      if (aiIn.punch) me.buf.punch = BUF_TIME;
-      if (aiIn.kick) me.buf.kick = BUF_TIME;
-      if (aiIn.special) me.buf.special = BUF_TIME;
-      if (aiIn.throw) me.buf.throw = BUF_TIME;
-    }
-
-    _applyInput(me, input, them, dt, isHuman) {
-      // Expose for block rules
-      me._blockHeld = !!input.block;
-      me._moveDir = input.move;
-
-      // Cooldowns / timers
-      me.specialCooldown = Math.max(0, me.specialCooldown - dt);
-      me.dashCooldown = Math.max(0, me.dashCooldown - dt);
-      me.throwCooldown = Math.max(0, me.throwCooldown - dt);
-      me.invulnT = Math.max(0, me.invulnT - dt);
-      me.hitstunT = Math.max(0, me.hitstunT - dt);
-      me.knockdownT = Math.max(0, me.knockdownT - dt);
-      me.comboT = Math.max(0, me.comboT - dt);
-      if (me.comboT <= 0) me.comboHits = 0;
-
-      // Input buffer decay
-      me.buf.jump = Math.max(0, me.buf.jump - dt);
-      me.buf.punch = Math.max(0, me.buf.punch - dt);
-      me.buf.kick = Math.max(0, me.buf.kick - dt);
-      me.buf.special = Math.max(0, me.buf.special - dt);
-      me.buf.throw = Math.max(0, me.buf.throw - dt);
-
-      // Knocked down: no actions.
-      if (me.knockdownT > 0) {
-        me.state = "down";
-        me.attack = null;
-        me.vx *= 0.82;
-        return;
-      }
-
-      if (me.hitstunT > 0) {
-        me.state = "hit";
-        me.attack = null;
-        me.vx *= 0.88;
-        return;
-      }
-
-      if (this.state.phase !== "fight" && this.state.phase !== "intro") {
-        me.vx *= 0.82;
-        return;
-      }
-
-      // Dash in progress
-      if (me.dashT > 0) {
-        me.dashT = Math.max(0, me.dashT - dt);
-        const c = CHAR[me.charId];
-        const dashSpeed = me.dashDir === (them.x > me.x ? 1 : -1) ? c.dash : c.backdash;
-        me.vx = me.dashDir * dashSpeed;
-        me.state = me.dashDir === (them.x > me.x ? 1 : -1) ? "dash" : "backdash";
-        if (me.dashT <= 0) {
-          me.vx *= 0.4;
-          me.dashDir = 0;
-        }
-        return;
-      }
-
-      // Attacking state update
-      if (me.attack) {
-        me.stateT += dt;
-        const a = me.attack;
-        const m = MOVES[a.name];
-        const total = m.startup + m.active + m.recovery;
-        if (me.stateT >= total) {
-          me.attack = null;
-          me.attackHit = false;
-          me.state = me.onGround ? "idle" : "jump";
-          me.stateT = 0;
+          masks = this.playback.player.next();
         } else {
-          // Movement lock during attacks
-          me.vx *= 0.86;
-        }
-        return;
-      }
-
-      // Start dash (double tap)
-      if (input.dash && me.onGround && !input.block && me.dashCooldown <= 0) {
-        me.dashDir = input.dash;
-        me.dashT = DASH_TIME;
-        me.dashCooldown = DASH_CD;
-        // Backdash gets a tiny invuln window (makes throws less unfair).
-        const away = them.x > me.x ? -1 : 1;
-        if (me.dashDir === away) me.invulnT = Math.max(me.invulnT, 0.09);
-        this.audio.sfx("dash", 1);
-        this._spawnDashDust(me);
-        // Dashes are committed movement; ignore crouch for this frame.
-        me.crouch = false;
-        return;
-      }
-
-      // Block makes you "sticky" but safe.
-      if (input.block) {
-        me.state = me.onGround ? "block" : "jump";
-        me.vx *= 0.78;
-        me.crouch = false;
-      } else if (me.onGround) {
-        me.crouch = !!input.crouch;
-        me.state = me.crouch ? "crouch" : (Math.abs(input.move) > 0 ? "walk" : "idle");
-      }
-
-      // Jump
-      if (me.buf.jump > 0 && me.onGround && !input.block) {
-        me.buf.jump = 0;
-        me.vy = me.jump;
-        me.onGround = false;
-        me.state = "jump";
-        me.crouch = false;
-        this.audio.sfx("jump", 1);
-      }
-
-      // Horizontal movement
-      const slow = me.crouch ? 0.55 : 1.0;
-      const max = me.speed * slow * (me.onGround ? 1.0 : 0.72);
-      const accel = me.onGround ? 2200 : 1400;
-      const target = input.move * max;
-      me.vx = lerp(me.vx, target, clamp(accel * dt / (max || 1), 0, 1));
-      if (Math.abs(me.vx) < 8 && input.move === 0) me.vx = 0;
-
-      // Attacks
-      if (this.state.phase === "fight") {
-        if (me.buf.throw > 0 && me.throwCooldown <= 0 && me.onGround && !input.block) {
-          if (this._startAttack(me, "throw", isHuman)) {
-            me.buf.throw = 0;
-            me.throwCooldown = THROW_CD;
-          }
-        } else if (me.buf.punch > 0 && !input.block) {
-          const nm = me.onGround ? "punch" : "airPunch";
-          if (this._startAttack(me, nm, isHuman)) me.buf.punch = 0;
-        } else if (me.buf.kick > 0 && !input.block) {
-          const nm = me.onGround ? (me.crouch ? "sweep" : "kick") : "airKick";
-          if (this._startAttack(me, nm, isHuman)) me.buf.kick = 0;
-        } else if (me.buf.special > 0 && !input.block) {
-          const nm = me.energy >= 100 ? "super" : "special";
-          if (this._startAttack(me, nm, isHuman)) me.buf.special = 0;
-        }
-      }
-    }
-
-    _startAttack(me, name, isHuman) {
-      if (me.attack) return false;
-      const mv = MOVES[name];
-      if (!mv) return false;
-
-      if (mv.kind === "projectile") {
-        const cost = mv.cost ?? 0;
-        if (me.energy < cost) return false;
-        if (me.specialCooldown > 0) return false;
-        me.energy -= cost;
-        me.specialCooldown = mv.cooldown ?? 0;
-        this.audio.sfx(name === "super" ? "super" : "special", 1);
-        if (name === "super") {
-          this.flashT = Math.max(this.flashT, 0.12);
-          this.shake = Math.max(this.shake, 0.35);
-        }
-      } else if (mv.kind === "throw") {
-        this.audio.sfx("throw", 1);
-      } else if (name === "kick" || name === "sweep" || name === "airKick") {
-        this.audio.sfx("kick", 1);
-      } else {
-        this.audio.sfx("punch", 1);
-      }
-
-      me.attack = { name };
-      me.attackHit = false;
-      me.stateT = 0;
-      me.state = name;
-
-      // In a "real" fighter you'd buffer inputs; this is intentionally arcade simple.
-      if (!isHuman) {
-        // CPU sometimes whiffs on purpose to feel more 90's.
-        if (Math.random() < 0.03 && (name === "punch" || name === "kick" || name === "sweep")) me.stateT -= 0.03;
-      }
-      return true;
-    }
-
-    _integrate(f, dt) {
-      // Gravity
-      if (!f.onGround) {
-        f.vy -= GRAV * dt;
-        f.y += f.vy * dt;
-        if (f.y <= 0) {
-          f.y = 0;
-          f.vy = 0;
-          f.onGround = true;
-          if (!f.attack) {
-            if (f.knockdownT > 0) f.state = "down";
-            else f.state = f._blockHeld ? "block" : "idle";
+          this.pads.poll();
+          masks = [this._readMask(sim.f1.control), this._readMask(sim.f2.control)];
+          // Training reset rides in the player's mask (with their held direction) so replays keep it.
+          if (sim.training && this.input.consumeAny(this.bindings.global.reset)) {
+            const human = [sim.f1, sim.f2].findIndex((f) => HUMAN_CONTROLS.includes(f.control));
+            if (human !== -1) masks[human] |= BTN.RESET;
           }
+          if (this.recorder) this.recorder.push(masks);
         }
+        events = sim.step(masks);
       }
+      this._handleSimEvents(events);
 
-      f.x += f.vx * dt;
-
-      // Stage bounds
-      const half = f.w * 0.5;
-      f.x = clamp(f.x, half + 20, STAGE_W - half - 20);
-    }
-
-    _separateFighters(a, b) {
-      const min = (a.w + b.w) * 0.5 + 8;
-      const dx = b.x - a.x;
-      const dist = Math.abs(dx);
-      if (dist < min && dist > 0.0001) {
-        const push = (min - dist) * 0.5;
-        const dir = dx > 0 ? 1 : -1;
-        a.x -= push * dir;
-        b.x += push * dir;
-        a.x = clamp(a.x, a.w * 0.5 + 20, STAGE_W - a.w * 0.5 - 20);
-        b.x = clamp(b.x, b.w * 0.5 + 20, STAGE_W - b.w * 0.5 - 20);
-      }
-    }
-
-    _resolveAttacks(attacker, defender) {
-      if (!attacker.attack) return;
-      const a = attacker.attack;
-      const m = MOVES[a.name];
-      if (!m) return;
-      const t = attacker.stateT;
-      const inActive = t >= m.startup && t < (m.startup + m.active);
-      if (!inActive) return;
-      if (attacker.attackHit) return;
-      if (defender.invulnT > 0 || defender.hp <= 0) return;
-
-      if (m.kind === "projectile") {
-        // Spawn once at active start
-        attacker.attackHit = true;
-        this._spawnProjectile(attacker, a.name);
+      if (sim.state.phase === "over" && !this.net) {
+        this._returnToPick();
         return;
       }
 
-      if (m.kind === "throw") {
-        // Throws only work on grounded, non-stunned opponents (no-block).
-        if (!attacker.onGround || !defender.onGround) return;
-        if (defender.hitstunT > 0 || defender.knockdownT > 0) return;
-        if (Math.abs(defender.x - attacker.x) > 70) return;
+      // Hitstop freezes everything but the HUD.
+      if (sim.frozen) {
+        this._syncHud();
+        return;
       }
 
-      const hitbox = attackHitboxWorld(attacker, a.name);
-      if (!hitbox) return;
-      const hurt = fighterHurtboxWorld(defender);
+      // Camera. Following the sim's area also puts the stage back after a rollback
+      // or a new round undoes a wall break.
+      this.setStage(sim.area || STAGES[CLASSIC_STAGE]);
+      const targetCam = clamp(((sim.f1.x + sim.f2.x) * 0.5) - VIEW_W * 0.5, 0, sim.stageW - VIEW_W);
+      this.cameraX = lerp(this.cameraX, targetCam, 0.10);
 
-      // Convert to same coordinate space. In world: x is x, y is negative-down.
-      if (rectsOverlap(hitbox, hurt)) {
-        attacker.attackHit = true;
-        this._applyHit(attacker, defender, a.name);
-      }
-    }
+      // Shake decay
+      this.shake = Math.max(0, this.shake - dt * 8);
+      const sh = this.shake * 7;
+      this.shakeX = (Math.random() * 2 - 1) * sh;
+      this.shakeY = (Math.random() * 2 - 1) * sh;
 
-    _applyHit(attacker, defender, moveName) {
-      const c = CHAR[attacker.charId];
-      const mv = MOVES[moveName];
-      const stats =
-        c[moveName] ||
-        (moveName === "sweep" ? c.sweep :
-          moveName === "airPunch" ? c.airPunch :
-          moveName === "airKick" ? c.airKick :
-          moveName === "throw" ? c.throw :
-          c.punch);
-      const baseDmg = stats?.dmg ?? 8;
-      const baseKb = stats?.kb ?? 220;
-
-      const isThrow = mv?.kind === "throw";
-      const blocked = isThrow ? false : isBlocking(defender, attacker);
-      const dmg = blocked ? Math.max(1, Math.floor(baseDmg * 0.35)) : baseDmg;
-      const kb = blocked ? baseKb * 0.35 : baseKb;
-
-      defender.hp = Math.max(0, defender.hp - dmg);
-      attacker.energy = clamp(attacker.energy + (blocked ? 4 : 8), 0, 100);
-      defender.energy = clamp(defender.energy + (blocked ? 6 : 12), 0, 100);
-
-      const dir = attacker.x > defender.x ? -1 : 1;
-      defender.vx = dir * kb;
-      if (isThrow) {
-        defender.vy = 260;
-        defender.onGround = false;
-      } else {
-        defender.vy = defender.onGround ? (blocked ? 110 : 175) : defender.vy;
-        defender.onGround = false;
+      // Cosmetics
+      for (const p of sim.projectiles) {
+        if (Math.random() < 0.22) this._spawnProjectileTrail(p, false);
       }
+      this._updateParticles(dt);
 
-      const baseHitstun = mv?.hitstun ?? 0.22;
-      defender.hitstunT = blocked ? baseHitstun * 0.55 : baseHitstun;
-      defender.invulnT = blocked ? 0.05 : 0.09;
-
-      const kd = stats?.kd ?? mv?.knockdown ?? 0;
-      if (!blocked && kd > 0) defender.knockdownT = Math.max(defender.knockdownT, kd);
-
-      this.shake = Math.max(this.shake, blocked ? 0.22 : (isThrow ? 0.85 : 0.55));
-      this.flashT = Math.max(this.flashT, blocked ? 0.03 : (isThrow ? 0.10 : 0.07));
-      this.hitstopT = Math.max(this.hitstopT, blocked ? (mv?.hitstop ?? 0.05) * 0.6 : (mv?.hitstop ?? 0.05));
-      attacker.comboHits = attacker.comboHits + 1;
-      attacker.comboT = 1.2;
-      this._spawnHitBurst(attacker, defender, blocked, moveName);
-
-      this.audio.sfx(blocked ? "block" : "hit", blocked ? 0.8 : 1.0);
-    }
-
-    _spawnProjectile(owner, kind) {
-      const mv = MOVES[kind];
-      if (!mv || mv.kind !== "projectile") return;
-      const pr = mv.proj;
-      const dir = owner.facing;
-      const x = owner.x + dir * (owner.w * 0.7 + 16);
-      const y = owner.y + fighterHeightNow(owner) * 0.56;
-      const p = {
-        owner,
-        kind,
-        x,
-        y,
-        vx: dir * pr.speed,
-        life: pr.life,
-        w: pr.w,
-        h: pr.h,
-        hit: false,
-      };
-      this.projectiles.push(p);
-      this._spawnProjectileTrail(p, true);
+      this._syncHud();
     }
 
-    _updateProjectiles(dt) {
-      if (!this.projectiles.length) return;
-      for (const p of this.projectiles) {
-        p.life -= dt;
-        p.x += p.vx * dt;
-
-        // A little bob for drama.
-        p.y += Math.sin((1.2 - p.life) * 18) * 0.3;
-
-        const target = p.owner === this.f1 ? this.f2 : this.f1;
-        if (!p.hit && target.hp > 0 && target.invulnT <= 0) {
-          const hb = fighterHurtboxWorld(target);
-          const box = { x: p.x - p.w / 2, y: -(p.y) - p.h / 2, w: p.w, h: p.h };
-          if (rectsOverlap(box, hb)) {
-            p.hit = true;
-            p.life = 0;
-            this._applyProjectileHit(p.owner, target, p.kind);
+    // Turns the sim's side effects into sound, shake and particles.
+    _handleSimEvents(events) {
+      for (const ev of events) {
+        switch (ev.type) {
+          case "sfx":
+            this.audio.sfx(ev.name, ev.intensity);
+            break;
+          case "fx":
+            this.shake = Math.max(this.shake, ev.shake);
+            this.flashT = Math.max(this.flashT, ev.flash);
+            break;
+          case "dash":
+            this._spawnDashDust(ev.fighter);
+            break;
+          case "hit":
+            this._spawnHitBurst(ev.attacker, ev.defender, ev.blocked, ev.move);
+            if (ev.beat) this._spawnBeatMark(ev.defender, ev.beat);
+            break;
+          case "parry":
+            this._spawnParryFlash(ev.attacker, ev.defender);
+            this.callouts[ev.defender === this.sim.f1 ? 0 : 1] = { text: "PARRY", t: 0.8 };
+            break;
+          case "tech":
+            this._spawnHitBurst(ev.attacker, ev.defender, true, "throw");
+            this.callouts[ev.defender === this.sim.f1 ? 0 : 1] = { text: "TECH", t: 0.8 };
+            break;
+          case "guardCrush":
+            this.callouts[ev.fighter === this.sim.f1 ? 0 : 1] = { text: "GUARD CRUSH", t: 1.0 };
+            break;
+          case "projectile":
+            this._spawnProjectileTrail(ev.projectile, true);
+            break;
+          case "airReset":
+            this._pushParticle({
+              kind: "ring",
+              x: ev.fighter.x,
+              y: ev.fighter.y + ev.fighter.h * 0.45,
+              vx: 0,
+              vy: 0,
+              life: 0.22,
+              ttl: 0,
+              size: 14,
+              a: 0.45,
+              col: "rgba(247,244,255,0.85)",
+              grav: 0,
+            });
+            break;
+          case "wall":
+            this._spawnWallBurst(ev.fighter.x + ev.side * ev.fighter.w * 0.5, ev.fighter.y + 40, -ev.side, 14);
+            break;
+          case "wallBreak": {
+            // The sim already moved everyone into the next area: cut the camera there
+            // and throw the rubble out of the wall they came through.
+            const sim = this.sim;
+            this.setStage(sim.area);
+            this.cameraX = clamp(((sim.f1.x + sim.f2.x) * 0.5) - VIEW_W * 0.5, 0, sim.stageW - VIEW_W);
+            this._spawnWallBurst(ev.side > 0 ? 20 : sim.stageW - 20, 60, ev.side, 40);
+            break;
           }
+          case "advantage":
+            this.advFlash = {
+              text: `${ev.attacker.name} ${formatAdvantage(ev.frames)} on ${ev.parried ? "parry" : (ev.blocked ? "block" : "hit")}`,
+              frames: ev.frames,
+              t: 1.4,
+            };
+            break;
+          case "roundReset":
+            this.particles = [];
+            this.flashT = 0;
+            this.advFlash = null;
+            this.callouts = [null, null];
+            break;
+          default:
+            break;
         }
-
-        if (Math.random() < 0.22) this._spawnProjectileTrail(p, false);
       }
-      this.projectiles = this.projectiles.filter((p) => p.life > 0);
-    }
-
-    _applyProjectileHit(attacker, defender, kind) {
-      const c = CHAR[attacker.charId];
-      const stats = c[kind] || c.special;
-      const dmg = stats?.dmg ?? 14;
-      const kb = stats?.kb ?? 220;
-
-      const blocked = isBlocking(defender, attacker);
-      const finalDmg = blocked ? Math.max(1, Math.floor(dmg * 0.45)) : dmg;
-      const finalKb = blocked ? kb * 0.35 : kb;
-
-      defender.hp = Math.max(0, defender.hp - finalDmg);
-      attacker.energy = clamp(attacker.energy + (blocked ? 5 : 9), 0, 100);
-      defender.energy = clamp(defender.energy + (blocked ? 5 : 10), 0, 100);
-
-      const dir = attacker.x > defender.x ? -1 : 1;
-      defender.vx = dir * finalKb;
-      defender.vy = defender.onGround ? (blocked ? 130 : 210) : defender.vy;
-      defender.onGround = false;
-      defender.hitstunT = blocked ? 0.14 : 0.26;
-      defender.invulnT = blocked ? 0.06 : 0.10;
-
-      if (!blocked && kind === "super") {
-        defender.knockdownT = Math.max(defender.knockdownT, 0.60);
-      }
-
-      this.shake = Math.max(this.shake, blocked ? 0.30 : (kind === "super" ? 1.0 : 0.70));
-      this.flashT = Math.max(this.flashT, blocked ? 0.04 : (kind === "super" ? 0.14 : 0.08));
-      this.hitstopT = Math.max(this.hitstopT, blocked ? 0.03 : (kind === "super" ? 0.08 : 0.05));
-      attacker.comboHits = attacker.comboHits + 1;
-      attacker.comboT = 1.2;
-      this._spawnHitBurst(attacker, defender, blocked, kind);
-      this.audio.sfx(blocked ? "block" : "hit", blocked ? 0.9 : 1.0);
     }
 
-    _tickHpBack(f, dt) {
-      if (f.hpBack > f.hp) f.hpBack = Math.max(f.hp, f.hpBack - dt * 55);
-      else f.hpBack = f.hp;
+    // Held keys (plus anything tapped since the last tick, so quick taps between
+    // ticks still register) from a binding set, plus the pads of that player: pad
+    // slot "L" is Player 1 (or the only human), "R" is Player 2, whichever side
+    // their fighter stands on.
+    _readMask(control) {
+      if (!HUMAN_CONTROLS.includes(control)) return 0;
+      const binds = this.bindings[control] || this.bindings.solo;
+      const pad = this.pads.read(control === "p2" ? "R" : "L");
+      const on = (keys, action) =>
+        this.input.consumeAny(keys) || this.input.anyDown(keys) || !!pad.held[action] || !!pad.pressed[action];
+
+      let mask = 0;
+      if (on(binds.left, "left")) mask |= BTN.LEFT;
+      if (on(binds.right, "right")) mask |= BTN.RIGHT;
+      if (on(binds.jump, "up")) mask |= BTN.UP;
+      if (on(binds.down, "down")) mask |= BTN.DOWN;
+      if (on(binds.punch, "punch")) mask |= BTN.PUNCH;
+      if (on(binds.kick, "kick")) mask |= BTN.KICK;
+      if (on(binds.special, "special")) mask |= BTN.SPECIAL;
+      if (on(binds.throw, "throw")) mask |= BTN.THROW;
+      return mask;
     }
 
     _pushParticle(p) {
@@ -1638,8 +1385,99 @@
       }
     }
 
+    // A parry: a bright blue ring where the hit would have landed and a few sparks
+    // kicked back toward the attacker.
+    _spawnParryFlash(attacker, defender) {
+      const dir = attacker.x > defender.x ? 1 : -1;
+      const cx = defender.x + dir * defender.w * 0.45;
+      const cy = defender.y + fighterHeightNow(defender) * 0.56;
+      this._pushParticle({
+        kind: "ring",
+        x: cx,
+        y: cy,
+        vx: 0,
+        vy: 0,
+        life: 0.24,
+        ttl: 0,
+        size: 26,
+        a: 0.7,
+        col: "rgba(128,216,255,0.95)",
+        grav: 0,
+      });
+      for (let i = 0; i < 10; i++) {
+        const ang = rand(-0.7, 0.7);
+        const sp = rand(240, 420);
+        this._pushParticle({
+          kind: "spark",
+          x: cx,
+          y: cy + rand(-10, 10),
+          vx: dir * Math.cos(ang) * sp,
+          vy: Math.sin(ang) * sp,
+          life: rand(0.12, 0.22),
+          ttl: 0,
+          size: rand(1, 2.5),
+          a: rand(0.45, 0.7),
+          col: i % 2 ? "rgba(128,216,255,0.9)" : "rgba(247,244,255,0.9)",
+          grav: 0,
+        });
+      }
+    }
+
+    // A hit that got past the wrong guard: its height in big letters where it came
+    // in (over the head for overheads and highs, at the shins for lows).
+    _spawnBeatMark(defender, height) {
+      const y = height === "low" ? defender.y + 14 : defender.y + fighterHeightNow(defender) + 12;
+      this._pushParticle({
+        kind: "text",
+        text: height.toUpperCase(),
+        x: defender.x,
+        y,
+        vx: 0,
+        vy: 60,
+        life: 0.6,
+        ttl: 0,
+        size: 14,
+        a: 1,
+        col: "#ffe57f",
+        grav: 0,
+      });
+      this._pushParticle({
+        kind: "ring",
+        x: defender.x,
+        y,
+        vx: 0,
+        vy: 0,
+        life: 0.2,
+        ttl: 0,
+        size: 16,
+        a: 0.6,
+        col: "rgba(255,229,127,0.9)",
+        grav: 0,
+      });
+    }
+
+    // Dust and chips off a wall at (x, y), flying toward `dir`.
+    _spawnWallBurst(x, y, dir, n) {
+      const col = this.stage ? this.stage.palette.glow[1] : "rgba(247,244,255,0.55)";
+      for (let i = 0; i < n; i++) {
+        this._pushParticle({
+          kind: Math.random() < 0.5 ? "dust" : "spark",
+          x: x + rand(-4, 4),
+          y: y + rand(-30, 50),
+          vx: dir * rand(80, 420),
+          vy: rand(-60, 260),
+          life: rand(0.25, 0.55),
+          ttl: 0,
+          size: rand(1, 4),
+          a: rand(0.3, 0.6),
+          col: Math.random() < 0.5 ? col : "rgba(247,244,255,0.55)",
+          grav: 1100,
+        });
+      }
+    }
+
     _spawnProjectileTrail(p, big) {
-      const owner = p.owner;
+      const owner = this.sim.fighter(p.owner);
       const tailN = big ? 16 : 3;
       for (let i = 0; i < tailN; i++) {
         const t = big ? i / tailN : 0.0;
@@ -1675,33 +1513,29 @@
     }
 
     _returnToPick() {
-      this.state.phase = "pick";
-      this.state.msg = "";
-      this.state.msgT = 0;
-      this.state.timer = 99;
-      this.state.introT = 0;
-      this.state.koT = 0;
-
-      this.projectiles = [];
+      this.sim = null;
+      this._finishRecording();
+      this._setPlayback(null);
+      this._setNet(null);
+
       this.particles = [];
-      this.hitstopT = 0;
       this.flashT = 0;
       this.shake = 0;
 
-      this.f1 = null;
-      this.f2 = null;
-
       this._setHudVisible(false);
       this.overlay.classList.remove("is-hidden");
     }
 
     _syncHud() {
+      const { state, match } = this.sim;
       const lhp = document.getElementById("hudLeftHp");
       const lhpBack = document.getElementById("hudLeftHpBack");
       const rhp = document.getElementById("hudRightHp");
       const rhpBack = document.getElementById("hudRightHpBack");
       const le = document.getElementById("hudLeftEnergy");
       const re = document.getElementById("hudRightEnergy");
+      const lg = document.getElementById("hudLeftGuard");
+      const rg = document.getElementById("hudRightGuard");
       const timer = document.getElementById("hudTimer");
       const msg = document.getElementById("hudMsg");
       const lr = document.getElementById("hudLeftRounds");
@@ -1715,21 +1549,38 @@
       rhpBack.style.width = clamp(this.f2.hpBack, 0, 100) + "%";
       le.style.width = clamp(this.f1.energy, 0, 100) + "%";
       re.style.width = clamp(this.f2.energy, 0, 100) + "%";
+      for (const [el, f] of [[lg, this.f1], [rg, this.f2]]) {
+        el.style.width = (f.crushT > 0 ? 0 : clamp(f.guardMeter / GUARD_MAX, 0, 1) * 100) + "%";
+        el.classList.toggle("is-low", f.guardMeter < GUARD_MAX * 0.3);
+      }
 
-      timer.textContent = String(Math.ceil(this.state.timer)).padStart(2, "0");
-      msg.textContent = this.state.msg || "";
+      const endless = this.sim.training && this.sim.training.infiniteTimer;
+      timer.textContent = endless ? "∞" : String(Math.ceil(state.timer)).padStart(2, "0");
+      msg.textContent = state.msg || "";
 
-      const toWin = Math.floor(this.match.bestOf / 2) + 1;
+      const toWin = Math.floor(match.bestOf / 2) + 1;
       const pipHtml = (wins) =>
         Array.from({ length: toWin }, (_, i) => `<span class="hud__pip ${wins > i ? "is-on" : ""}"></span>`).join("");
-      lr.innerHTML = pipHtml(this.match.winsL);
-      rr.innerHTML = pipHtml(this.match.winsR);
+      lr.innerHTML = pipHtml(match.winsL);
+      rr.innerHTML = pipHtml(match.winsR);
 
       const setCombo = (el, f, side) => {
-        const showCombo = f.comboHits >= 2 && f.comboT > 0;
-        const showSuper = f.energy >= 100 && this.state.phase === "fight" && !showCombo;
-        if (showCombo) {
-          el.textContent = `COMBO x${f.comboHits}`;
+        const callout = this.callouts[side === "L" ? 0 : 1];
+        const showCombo = f.comboHits >= 2 && f.comboT > 0 && !callout;
+        const showDropped = f.comboDropped > 0 && f.comboT > 0 && !showCombo && !callout;
+        const showSuper = f.energy >= 100 && state.phase === "fight" && !showCombo && !showDropped && !callout;
+        el.classList.toggle("is-dropped", showDropped);
+        el.classList.toggle("is-parry", !!callout && callout.text === "PARRY");
+        el.classList.toggle("is-tech", !!callout && callout.text === "TECH");
+        el.classList.toggle("is-crush", !!callout && callout.text === "GUARD CRUSH");
+        if (callout) {
+          el.textContent = callout.text;
+          el.classList.add("is-on");
+        } else if (showCombo) {
+          el.textContent = `COMBO x${f.comboHits} · ${f.comboDamage} DMG`;
+          el.classList.add("is-on");
+        } else if (showDropped) {
+          el.textContent = `DROPPED · ${f.comboDropped} HIT${f.comboDropped === 1 ? "" : "S"}`;
           el.classList.add("is-on");
         } else if (showSuper) {
           el.textContent = "SUPER READY";
@@ -1741,6 +1592,28 @@
       };
       setCombo(lc, this.f1, "L");
       setCombo(rc, this.f2, "R");
+
+      const adv = document.getElementById("hudAdv");
+      const flash = this.advFlash;
+      if (flash) adv.textContent = flash.text;
+      adv.classList.toggle("is-on", !!flash);
+      adv.classList.toggle("is-plus", !!flash && flash.frames > 0);
+      adv.classList.toggle("is-minus", !!flash && flash.frames < 0);
+
+      if (this.playback) {
+        const frame = document.getElementById("replayFrame");
+        frame.textContent = `${this.playback.player.frame} / ${this.playback.replay.frames}`;
+      }
+
+      if (this.net) {
+        const { session } = this.net;
+        const stats = document.getElementById("netStats");
+        let text = `You are P${session.side + 1} · Ping ${Math.round(session.rtt)} ms · Rollback ${session.rollbackFrames}f · Delay ${session.inputDelay}f`;
+        if (session.stalled) text += " · Waiting for opponent…";
+        if (session.desyncFrame) text += ` · DESYNC at frame ${session.desyncFrame}`;
+        stats.textContent = text;
+        stats.classList.toggle("is-error", !!session.desyncFrame);
+      }
     }
 
     _render() {
@@ -1772,7 +1645,7 @@
         g.fillText("PICK YOUR FIGHTER", VIEW_W / 2, VIEW_H / 2 - 10);
         g.fillStyle = "rgba(247,244,255,0.65)";
         g.font = "10px ui-monospace, Menlo, Monaco, monospace";
-        g.fillText("(Rohan or Dev)  then press R to rematch later", VIEW_W / 2, VIEW_H / 2 + 14);
+        g.fillText("(pick a fighter and an opponent, vs CPU or P1 vs P2)  then press R to rematch later", VIEW_W / 2, VIEW_H / 2 + 14);
       }
 
       // Scanlines + noise (intentionally gross)
@@ -1787,9 +1660,89 @@
       ctx.imageSmoothingEnabled = false;
       ctx.clearRect(0, 0, CANVAS_W, CANVAS_H);
       ctx.drawImage(this.off, 0, 0, CANVAS_W, CANVAS_H);
+      // Debug boxes go on the full-res canvas so lines and labels stay readable.
+      if (this.debug && this.sim) this._drawDebug(ctx, cam, shY);
       ctx.restore();
     }
 
+    // Collision debug: hurtboxes blue, active hitboxes solid red, startup/recovery
+    // hitboxes as outlines, throw reach dotted yellow, projectiles red, plus each
+    // fighter's state and timers above their head and any sprite sheet that
+    // failed to load in the bottom left.
+    _drawDebug(ctx, camX, shY) {
+      const S = CANVAS_W / VIEW_W;
+      const box = (b, fill, stroke, dash) => {
+        const x = (b.x - camX) * S;
+        const y = (this.floorY + b.y + shY) * S;
+        if (fill) {
+          ctx.fillStyle = fill;
+          ctx.fillRect(x, y, b.w * S, b.h * S);
+        }
+        ctx.strokeStyle = stroke;
+        ctx.setLineDash(dash || []);
+        ctx.strokeRect(x + 0.5, y + 0.5, b.w * S - 1, b.h * S - 1);
+      };
+
+      ctx.lineWidth = 1;
+      for (const f of [this.f1, this.f2]) {
+        const a = f.attack;
+        const m = a ? CHAR[f.charId].moves[a.name] : null;
+
+        if (!a || m.kind !== "throw") box(attackHitboxWorld(f, "throw"), null, "rgba(255,215,64,0.55)", [2, 3]);
+
+        const hurt = fighterHurtboxWorld(f);
+        if (f.invulnT > 0) box(hurt, null, "rgba(64,156,255,0.9)", [4, 3]);
+        else box(hurt, "rgba(64,156,255,0.22)", "rgba(64,156,255,0.9)");
+
+        if (m && (m.kind === "melee" || m.kind === "throw")) {
+          const hit = attackHitboxWorld(f, a.name);
+          const t = f.stateT;
+          if (t < m.startup) box(hit, null, "rgba(255,82,82,0.75)", [4, 3]);
+          else if (t < m.startup + m.active && !f.attackHit) box(hit, "rgba(255,23,68,0.40)", "rgba(255,23,68,1)");
+          else box(hit, null, "rgba(255,82,82,0.35)", [1, 3]);
+        }
+      }
+      for (const p of this.sim.projectiles) {
+        if (!p.hit) box(projectileBoxWorld(p), "rgba(255,23,68,0.30)", "rgba(255,23,68,1)");
+      }
+      ctx.setLineDash([]);
+
+      ctx.font = "11px ui-monospace, Menlo, Monaco, monospace";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "bottom";
+      const sec = (v) => v.toFixed(2);
+      // The last few directions held (as if facing right), repeats merged.
+      const dirTrail = (dirs) => dirs.filter((d, i) => d !== dirs[i - 1]).slice(-6).map((d) => "↙↓↘←·→↖↑↗"[d - 1]).join("") || "·";
+      for (const f of [this.f1, this.f2]) {
+        const x = (f.x - camX) * S;
+        const y = (this.floorY - f.y - fighterHeightNow(f) + shY) * S - 8;
+        const lines = [
+          `${f.state}${f.attack ? ":" + f.attack.name : ""}  t ${sec(f.stateT)}`,
+          `stun ${sec(f.hitstunT)}  block ${sec(f.blockstunT)}  kd ${sec(f.knockdownT)}  inv ${sec(f.invulnT)}`,
+          `guard ${Math.round(f.guardMeter)}${f.crushT > 0 ? `  crush ${sec(f.crushT)}` : ""}  in ${dirTrail(f.dirs)}`,
+        ];
+        lines.forEach((line, i) => {
+          const ly = y - (lines.length - 1 - i) * 13;
+          ctx.fillStyle = "rgba(0,0,0,0.65)";
+          const w = ctx.measureText(line).width + 8;
+          ctx.fillRect(x - w / 2, ly - 12, w, 13);
+          ctx.fillStyle = "rgba(247,244,255,0.95)";
+          ctx.fillText(line, x, ly);
+        });
+      }
+
+      ctx.textAlign = "left";
+      ctx.textBaseline = "top";
+      this.spriteErrors.forEach((msg, i) => {
+        const line = `sprite sheet skipped: ${msg}`;
+        const ly = CANVAS_H - 6 - (this.spriteErrors.length - i) * 13;
+        ctx.fillStyle = "rgba(0,0,0,0.65)";
+        ctx.fillRect(6, ly, ctx.measureText(line).width + 8, 13);
+        ctx.fillStyle = "rgba(255,82,82,0.95)";
+        ctx.fillText(line, 10, ly + 1);
+      });
+    }
+
     _resize() {
       // Keep internal canvas fixed; CSS scales it. Still, match DPR for crispness.
       const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1));
@@ -1803,74 +1756,194 @@
     }
 
     _drawBackground(g, camX, shY) {
+      const stage = this.stage;
+      if (!stage) {
+        g.fillStyle = "#06030d";
+        g.fillRect(0, 0, VIEW_W, VIEW_H);
+        return;
+      }
+      const pal = stage.palette;
+      // Scenery animates on wall-clock time; it's not part of the match.
+      const t = now() / 1000;
+
       // Sky gradient
       const grad = g.createLinearGradient(0, 0, 0, VIEW_H);
-      grad.addColorStop(0, "#1a0930");
-      grad.addColorStop(0.55, "#090515");
-      grad.addColorStop(1, "#06030d");
+      grad.addColorStop(0, pal.sky[0]);
+      grad.addColorStop(0.55, pal.sky[1]);
+      grad.addColorStop(1, pal.sky[2]);
       g.fillStyle = grad;
       g.fillRect(0, 0, VIEW_W, VIEW_H);
 
-      // Big synth sun
-      const sunX = 90 + (camX * 0.04);
-      const sunY = 52 + shY * 0.4;
-      const r = 34;
-      const sg = g.createRadialGradient(sunX, sunY, 4, sunX, sunY, 60);
-      sg.addColorStop(0, "rgba(255,215,64,0.85)");
-      sg.addColorStop(0.25, "rgba(255,61,141,0.45)");
-      sg.addColorStop(1, "rgba(0,0,0,0)");
-      g.fillStyle = sg;
-      g.beginPath();
-      g.arc(sunX, sunY, 60, 0, Math.PI * 2);
-      g.fill();
-
-      // Stars
-      for (const s of this._stars) {
-        const x = (s.x - camX * 0.2) % STAGE_W;
-        const sx = x < 0 ? x + STAGE_W : x;
-        const px = sx - camX * 0.0;
-        if (px < -4 || px > VIEW_W + 4) continue;
-        const tw = (Math.sin((performance.now() / 1000) * s.tw + s.x) * 0.5 + 0.5) * 0.6 + 0.4;
-        g.fillStyle = `rgba(247,244,255,${s.a * tw})`;
-        g.fillRect(px, s.y, 1, 1);
-      }
-
-      // Skyline silhouette
-      g.fillStyle = "rgba(0,0,0,0.65)";
-      for (const b of this._skyline) {
-        const x = b.x - camX * 0.55;
-        if (x + b.w < -30 || x > VIEW_W + 30) continue;
-        const baseY = 172 + shY * 0.15;
-        g.fillRect(x, baseY - b.h, b.w, b.h);
-
-        // windows (random but stable-ish)
-        g.fillStyle = `rgba(0,229,255,${0.08 + b.r * 0.08})`;
-        const wx = x + 4;
-        const wy = baseY - b.h + 6;
-        for (let yy = wy; yy < baseY - 10; yy += 8) {
-          for (let xx = wx; xx < x + b.w - 6; xx += 10) {
-            if ((Math.floor(xx + yy + b.w) % 3) === 0) g.fillRect(xx, yy, 2, 2);
+      // Parallax layers, back to front: each moves `scroll` px per camera px.
+      stage.layers.forEach((layer, i) => {
+        const { span, items } = this._scenery[i];
+        const off = camX * layer.scroll;
+        switch (layer.kind) {
+          case "sun": {
+            const x = layer.x - off;
+            const y = layer.y + shY * 0.4;
+            const sg = g.createRadialGradient(x, y, 4, x, y, layer.r);
+            sg.addColorStop(0, layer.core);
+            sg.addColorStop(0.25, layer.glow);
+            sg.addColorStop(1, "rgba(0,0,0,0)");
+            g.fillStyle = sg;
+            g.beginPath();
+            g.arc(x, y, layer.r, 0, Math.PI * 2);
+            g.fill();
+            break;
+          }
+          case "stars":
+            g.fillStyle = layer.color;
+            for (const st of items) {
+              const x = st.x - off;
+              if (x < -4 || x > VIEW_W + 4) continue;
+              g.globalAlpha = st.a * ((Math.sin(t * st.tw + st.x) * 0.5 + 0.5) * 0.6 + 0.4);
+              g.fillRect(x, st.y, 1, 1);
+            }
+            g.globalAlpha = 1;
+            break;
+          case "skyline": {
+            const baseY = layer.base + shY * 0.15;
+            for (const b of items) {
+              const x = b.x - off;
+              if (x + b.w < -30 || x > VIEW_W + 30) continue;
+              g.fillStyle = layer.color;
+              g.fillRect(x, baseY - b.h, b.w, b.h);
+
+              // windows (random but stable-ish)
+              g.fillStyle = layer.windows;
+              g.globalAlpha = 0.08 + b.r * 0.08;
+              const wx = x + 4;
+              const wy = baseY - b.h + 6;
+              for (let yy = wy; yy < baseY - 10; yy += 8) {
+                for (let xx = wx; xx < x + b.w - 6; xx += 10) {
+                  if ((Math.floor(xx + yy + b.w) % 3) === 0) g.fillRect(xx, yy, 2, 2);
+                }
+              }
+              g.globalAlpha = 1;
+            }
+            break;
           }
+          case "mountains": {
+            const baseY = layer.base + shY * 0.2;
+            g.fillStyle = layer.color;
+            g.beginPath();
+            g.moveTo(items[0].x - off, baseY);
+            for (const m of items) g.lineTo(m.x - off, baseY - m.h);
+            g.lineTo(items[items.length - 1].x - off, baseY);
+            g.lineTo(VIEW_W, VIEW_H);
+            g.lineTo(0, VIEW_H);
+            g.closePath();
+            g.fill();
+            break;
+          }
+          case "clouds":
+            g.fillStyle = layer.color;
+            for (const c of items) {
+              const x = (((c.x + t * layer.drift * c.speed - off) % span) + span) % span - 60;
+              g.fillRect(x, c.y, c.w, 6);
+              g.fillRect(x + c.w * 0.2, c.y - 4, c.w * 0.5, 4);
+            }
+            break;
+          default:
+            break;
         }
-        g.fillStyle = "rgba(0,0,0,0.65)";
-      }
+      });
+
+      for (const prop of stage.props) this._drawProp(g, prop, camX, shY, t);
 
       // Distant haze
-      g.fillStyle = "rgba(0,229,255,0.05)";
+      g.fillStyle = pal.haze;
       g.fillRect(0, 0, VIEW_W, VIEW_H);
     }
 
+    // Animated set dressing; `t` is in seconds.
+    _drawProp(g, prop, camX, shY, t) {
+      const x = prop.x - camX * prop.scroll;
+      const y = prop.y + shY * 0.3;
+      switch (prop.kind) {
+        case "sign": {
+          const on = prop.blink <= 0 || Math.floor(t / prop.blink) % 2 === 0;
+          g.font = "10px ui-monospace, Menlo, Monaco, monospace";
+          g.textAlign = "center";
+          g.textBaseline = "middle";
+          g.fillStyle = prop.color;
+          g.globalAlpha = on ? 0.9 : 0.25;
+          g.fillText(prop.text, x, y);
+          g.globalAlpha = 1;
+          break;
+        }
+        case "lamp": {
+          const a = clamp(0.75 + Math.sin(t * 13 + prop.x) * Math.sin(t * 7.3) * prop.flicker, 0, 1);
+          g.fillStyle = "rgba(0,0,0,0.6)";
+          g.fillRect(x - 1, y, 2, this.floorY - y);
+          const lg = g.createRadialGradient(x, y, 1, x, y, 22);
+          lg.addColorStop(0, prop.color);
+          lg.addColorStop(1, "rgba(0,0,0,0)");
+          g.globalAlpha = a;
+          g.fillStyle = lg;
+          g.fillRect(x - 22, y - 22, 44, 44);
+          g.globalAlpha = 1;
+          g.fillStyle = prop.color;
+          g.fillRect(x - 3, y - 4, 6, 8);
+          break;
+        }
+        case "crowd":
+          g.fillStyle = prop.color;
+          for (let cx = 0; cx < prop.width; cx += 14) {
+            const px = x + cx;
+            if (px < -14 || px > VIEW_W + 14) continue;
+            const h = 18 + ((cx * 7) % 9);
+            const bob = Math.abs(Math.sin(t * 5 + cx * 0.37)) * prop.bob;
+            g.fillRect(px, y - h - bob, 12, h + bob);
+            g.fillRect(px + 3, y - h - bob - 7, 6, 6);
+          }
+          break;
+        case "palm": {
+          const lean = Math.sin(t * 1.3 + prop.x) * prop.sway;
+          const topX = x + 10 + lean;
+          const topY = y - prop.height;
+          g.strokeStyle = prop.color;
+          g.lineWidth = 5;
+          g.beginPath();
+          g.moveTo(x, y);
+          g.quadraticCurveTo(x + 2, y - prop.height * 0.6, topX, topY);
+          g.stroke();
+          g.lineWidth = 3;
+          for (const [dx, dy] of [[-26, 10], [-16, 16], [0, 18], [16, 14], [26, 8]]) {
+            g.beginPath();
+            g.moveTo(topX, topY);
+            g.quadraticCurveTo(topX + dx * 0.5, topY - 8, topX + dx + lean * 0.5, topY + dy);
+            g.stroke();
+          }
+          break;
+        }
+        case "drifter": {
+          const span = VIEW_W + prop.w * 2;
+          const dx = (((t * prop.speed - camX * prop.scroll) % span) + span) % span - prop.w;
+          g.fillStyle = prop.color;
+          g.fillRect(dx, y, prop.w, prop.h);
+          g.fillRect(dx + prop.w * 0.25, y + prop.h, prop.w * 0.3, Math.max(1, prop.h * 0.3));
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
     _drawFloor(g, camX, shY) {
+      const pal = this.stage ? this.stage.palette : null;
+      if (!pal) return;
       // Ground
-      const y = FLOOR_Y + shY;
+      const y = this.floorY + shY;
       const grad = g.createLinearGradient(0, y - 12, 0, VIEW_H);
-      grad.addColorStop(0, "rgba(0,0,0,0.10)");
-      grad.addColorStop(1, "rgba(0,0,0,0.85)");
+      grad.addColorStop(0, pal.ground[0]);
+      grad.addColorStop(1, pal.ground[1]);
       g.fillStyle = grad;
       g.fillRect(0, y, VIEW_W, VIEW_H - y);
 
       // Grid
-      g.strokeStyle = "rgba(0,229,255,0.09)";
+      g.strokeStyle = pal.grid;
       g.lineWidth = 1;
       g.beginPath();
       for (let i = 0; i <= 16; i++) {
@@ -1887,19 +1960,20 @@
 
       // Floor glow streak
       const glow = g.createLinearGradient(0, y, VIEW_W, y);
-      glow.addColorStop(0, "rgba(255,61,141,0.05)");
-      glow.addColorStop(0.5, "rgba(0,229,255,0.09)");
-      glow.addColorStop(1, "rgba(178,255,89,0.05)");
+      glow.addColorStop(0, pal.glow[0]);
+      glow.addColorStop(0.5, pal.glow[1]);
+      glow.addColorStop(1, pal.glow[2]);
       g.fillStyle = glow;
       g.fillRect(0, y - 2, VIEW_W, 4);
     }
 
     _drawProjectiles(g, camX, shY) {
-      if (!this.projectiles.length) return;
-      for (const p of this.projectiles) {
+      const projectiles = this.sim.projectiles;
+      if (!projectiles.length) return;
+      for (const p of projectiles) {
         const x = p.x - camX;
-        const y = FLOOR_Y - p.y + shY;
-        const owner = p.owner;
+        const y = this.floorY - p.y + shY;
+        const owner = this.sim.fighter(p.owner);
 
         g.save();
         g.translate(x, y);
@@ -1932,7 +2006,7 @@
       g.save();
       for (const p of this.particles) {
         const x = p.x - camX;
-        const y = FLOOR_Y - p.y + shY;
+        const y = this.floorY - p.y + shY;
         if (x < -60 || x > VIEW_W + 60 || y < -60 || y > VIEW_H + 60) continue;
         const fade = p.life0 > 0 ? clamp(p.life / p.life0, 0, 1) : 0;
         const a = clamp((p.a ?? 0.3) * fade, 0, 1);
@@ -1946,6 +2020,15 @@
           g.beginPath();
           g.arc(x, y, r, 0, Math.PI * 2);
           g.stroke();
+        } else if (p.kind === "text") {
+          g.globalAlpha = a;
+          g.font = `900 ${p.size}px ui-monospace, Menlo, Monaco, monospace`;
+          g.textAlign = "center";
+          g.lineWidth = 3;
+          g.strokeStyle = "rgba(0,0,0,0.8)";
+          g.strokeText(p.text, x, y);
+          g.fillStyle = p.col;
+          g.fillText(p.text, x, y);
         } else {
           g.globalAlpha = a;
           g.fillStyle = p.col;
@@ -1958,7 +2041,7 @@
 
     _drawFighter(g, f, camX, shY, other) {
       const x = f.x - camX;
-      const y = FLOOR_Y - f.y + shY;
+      const y = this.floorY - f.y + shY;
 
       // Shadow
       g.fillStyle = "rgba(0,0,0,0.45)";
@@ -1970,128 +2053,25 @@
       const top = y - hh;
       const s = hh / f.h;
       const px = (v) => Math.round(v);
+      // Sim time (ms) keeps the glows in lockstep with the match, replays included.
+      const ms = this.sim.time * 1000;
 
-      // Tiny animation wobbles
-      const walkBob = f.state === "walk" ? Math.sin(performance.now() / 110) * 2 : 0;
-      const hitBob = f.state === "hit" ? Math.sin(performance.now() / 70) * 2 : 0;
-      const bob = walkBob + hitBob;
-
-      const facing = f.facing;
-
-      // Colors
-      const outline = "rgba(0,0,0,0.78)";
-      const main = f.c1;
-      const accent = f.c2;
-
-      // Knockdown pose (lying down)
-      if (f.state === "down") {
-        const bodyY = y - 22;
-        const bodyW = 74;
-        const bodyH = 24;
-        const gx = g.createLinearGradient(x - bodyW / 2, 0, x + bodyW / 2, 0);
-        gx.addColorStop(0, main);
-        gx.addColorStop(1, accent);
-
-        g.save();
-        g.translate(x, bodyY);
-        g.rotate(facing * 0.06);
-        g.fillStyle = outline;
-        g.fillRect(-bodyW / 2, -bodyH / 2, bodyW, bodyH);
-        g.fillStyle = gx;
-        g.fillRect(-bodyW / 2 + 1, -bodyH / 2 + 1, bodyW - 2, bodyH - 2);
-        g.fillStyle = "rgba(255,255,255,0.10)";
-        g.fillRect(-bodyW / 2 + 2, -bodyH / 2 + 2, bodyW - 4, 6);
-        // Head blob
-        g.fillStyle = outline;
-        g.fillRect(bodyW / 2 - 18, -10, 16, 16);
-        g.fillStyle = "rgba(255,255,255,0.14)";
-        g.fillRect(bodyW / 2 - 17, -9, 14, 14);
-        g.restore();
+      if (f.energy >= 100 && f.state !== "down") this._drawAura(g, x, top, hh, ms);
 
-        // Name tag
-        g.fillStyle = "rgba(0,0,0,0.55)";
-        g.fillRect(x - 18, y + 10, 36, 8);
-        g.fillStyle = "rgba(247,244,255,0.75)";
-        g.font = "6px ui-monospace, Menlo, Monaco, monospace";
-        g.textAlign = "center";
-        g.textBaseline = "middle";
-        g.fillText(f.ui, x, y + 14);
+      const sheet = this.sprites[f.charId];
+      if (sheet) {
+        this._drawSprite(g, f, sheet, x, y);
+        this._drawNameTag(g, f, x, y);
         return;
       }
 
-      // Aura when super is ready
-      if (f.energy >= 100) {
-        const a = 0.10 + Math.sin(performance.now() / 140) * 0.04;
-        g.fillStyle = `rgba(255,255,255,${a})`;
-        g.fillRect(x - 26, top + 4 + bob, 52, hh + 8);
-      }
-
-      // Head
-      g.fillStyle = outline;
-      g.fillRect(px(x - 12), px(top + 10 * s + bob), px(24), px(18 * s));
-      const hg = g.createLinearGradient(x - 12, 0, x + 12, 0);
-      hg.addColorStop(0, main);
-      hg.addColorStop(1, accent);
-      g.fillStyle = hg;
-      g.fillRect(px(x - 11), px(top + 11 * s + bob), px(22), px(16 * s));
-
-      // Eyes
-      const eyeX = x + facing * 3;
-      g.fillStyle = "rgba(0,0,0,0.75)";
-      g.fillRect(px(eyeX - 4), px(top + 16 * s + bob), 3, 2);
-      g.fillStyle = "rgba(255,255,255,0.75)";
-      g.fillRect(px(eyeX - 1), px(top + 16 * s + bob), 2, 2);
-
-      // Torso
-      g.fillStyle = outline;
-      g.fillRect(px(x - 16), px(top + 28 * s + bob), px(32), px(34 * s));
-      g.fillStyle = "rgba(255,255,255,0.08)";
-      g.fillRect(px(x - 15), px(top + 29 * s + bob), px(30), px(32 * s));
-      g.fillStyle = hg;
-      g.fillRect(px(x - 15), px(top + 29 * s + bob), px(30), px(10 * s));
-
-      // Belt
-      g.fillStyle = "rgba(0,0,0,0.55)";
-      g.fillRect(px(x - 16), px(top + 50 * s + bob), px(32), 4);
-
-      // Arms (simple)
-      const armY = top + 40 * s + bob;
-      const armReach =
-        (f.state === "punch" || f.state === "airPunch") ? 20 :
-        (f.state === "kick" || f.state === "airKick") ? 14 :
-        f.state === "throw" ? 14 :
-        f.state === "block" ? 6 :
-        8;
-      g.fillStyle = outline;
-      g.fillRect(px(x + facing * 14 - 4), px(armY), px(facing * (armReach + 8)), 6);
-      g.fillStyle = hg;
-      g.fillRect(px(x + facing * 14 - 3), px(armY + 1), px(facing * (armReach + 6)), 4);
-
-      // Legs
-      const legY = top + 62 * s + bob;
-      const step = f.state === "walk" ? Math.sin(performance.now() / 95) * 6 : 0;
-      g.fillStyle = outline;
-      const legH1 = 26 * s + (step > 0 ? step : 0);
-      const legH2 = 26 * s + (step < 0 ? -step : 0);
-      g.fillRect(px(x - 14), px(legY), 10, px(legH1));
-      g.fillRect(px(x + 4), px(legY), 10, px(legH2));
-      g.fillStyle = "rgba(255,255,255,0.06)";
-      g.fillRect(px(x - 13), px(legY + 1), 8, px(24 * s + (step > 0 ? step : 0)));
-      g.fillRect(px(x + 5), px(legY + 1), 8, px(24 * s + (step < 0 ? -step : 0)));
-
-      // Sweep leg extension
-      if (f.state === "sweep") {
-        g.fillStyle = outline;
-        g.fillRect(px(x + facing * 8), px(legY + 12 * s), px(facing * 30), 6);
-        g.fillStyle = hg;
-        g.fillRect(px(x + facing * 8), px(legY + 13 * s), px(facing * 28), 4);
-      }
+      this._drawRig(g, f, x, y);
 
       // Block shimmer
-      if (f.state === "block") {
-        const a = 0.12 + Math.sin(performance.now() / 80) * 0.04;
+      if (["block", "crouchBlock", "blockstun", "crouchBlockstun"].includes(f.state)) {
+        const a = 0.12 + Math.sin(ms / 80) * 0.04;
         g.fillStyle = `rgba(255,255,255,${a})`;
-        g.fillRect(px(x - 18), px(top + 22 * s + bob), 36, px(34 * s));
+        g.fillRect(px(x - 18), px(top + 22 * s), 36, px(34 * s));
       }
 
       // Special aura for a moment after firing
@@ -2100,11 +2080,135 @@
         g.strokeStyle = `rgba(255,255,255,${0.12 * a})`;
         g.lineWidth = 2;
         g.beginPath();
-        g.arc(x, top + 44 * s + bob, 30, 0, Math.PI * 2);
+        g.arc(x, top + 44 * s, 30, 0, Math.PI * 2);
+        g.stroke();
+      }
+
+      this._drawNameTag(g, f, x, y);
+    }
+
+    // The procedural fighter: its rig posed for the current state (see rig.js),
+    // eased in from the last pose drawn so state changes don't snap. Legs and torso
+    // are dark, arms and head wear the fighter's colors.
+    _drawRig(g, f, x, y) {
+      const clock = this.animClock[f === this.f1 ? 0 : 1];
+      let p = poseFor(f, this._animTime(f, f.state));
+      const since = this.sim.time - clock.since;
+      if (clock.from && since < POSE_BLEND) p = lerpPose(clock.from, p, since / POSE_BLEND);
+      clock.pose = p;
+      const rig = solveRig(p);
+
+      const outline = "rgba(0,0,0,0.78)";
+      g.save();
+      g.translate(Math.round(x), Math.round(y));
+      g.scale(f.facing, -1); // fighter space: x forward, y up
+      this._flipAirReset(g, f, f.h * 0.45, 1);
+      const hg = g.createLinearGradient(-12, 0, 12, 0);
+      hg.addColorStop(0, f.c1);
+      hg.addColorStop(1, f.c2);
+
+      // A rectangle `len` long up the unit vector `up` from `base`, `w` wide.
+      const box = (base, up, len, w, style) => {
+        const nx = (up[1] * w) / 2;
+        const ny = (-up[0] * w) / 2;
+        g.fillStyle = style;
+        g.beginPath();
+        g.moveTo(base[0] - nx, base[1] - ny);
+        g.lineTo(base[0] + nx, base[1] + ny);
+        g.lineTo(base[0] + nx + up[0] * len, base[1] + ny + up[1] * len);
+        g.lineTo(base[0] - nx + up[0] * len, base[1] - ny + up[1] * len);
+        g.closePath();
+        g.fill();
+      };
+      const along = (pt, up, n) => [pt[0] + up[0] * n, pt[1] + up[1] * n];
+      const limb = (l, w, fill, back) => {
+        g.beginPath();
+        g.moveTo(l.root[0], l.root[1]);
+        g.lineTo(l.joint[0], l.joint[1]);
+        g.lineTo(l.end[0], l.end[1]);
+        g.strokeStyle = outline;
+        g.lineWidth = w + 2;
         g.stroke();
+        g.strokeStyle = fill;
+        g.lineWidth = w;
+        g.stroke();
+        if (back) {
+          g.strokeStyle = "rgba(0,0,0,0.3)";
+          g.stroke();
+        }
+      };
+      g.lineCap = "round";
+      g.lineJoin = "round";
+
+      // Far limbs first, then the body, then the near ones on top.
+      limb(rig.legs[1], 8, "rgba(255,255,255,0.06)", true);
+      limb(rig.arms[1], 4, hg, true);
+
+      box(along(rig.hip, rig.up, -2), rig.up, 38, 32, outline);
+      box(rig.hip, rig.up, 34, 30, "rgba(255,255,255,0.08)");
+      box(along(rig.neck, rig.up, -11), rig.up, 10, 30, hg);
+      box(rig.hip, rig.up, 4, 32, "rgba(0,0,0,0.55)"); // belt
+
+      const hu = rig.headUp;
+      const fwd = [hu[1], -hu[0]];
+      box(along(rig.head, hu, -9), hu, 18, 24, outline);
+      box(along(rig.head, hu, -8), hu, 16, 22, hg);
+      const eye = along(rig.head, hu, 2);
+      box([eye[0] + fwd[0] * 1.5, eye[1] + fwd[1] * 1.5], hu, 2, 3, "rgba(0,0,0,0.75)");
+      box([eye[0] + fwd[0] * 4, eye[1] + fwd[1] * 4], hu, 2, 2, "rgba(255,255,255,0.75)");
+
+      limb(rig.legs[0], 8, "rgba(255,255,255,0.06)", false);
+      limb(rig.arms[0], 4, hg, false);
+      g.restore();
+    }
+
+    // One frame from the fighter's sheet, feet (the frame's anchor) on the floor
+    // point. Sheets face right and are flipped for the other way; in a mirror match
+    // the alternate-palette copy is hue-shifted, since a sheet has fixed colors.
+    _drawSprite(g, f, sheet, x, y) {
+      const name = sheet.anims[f.state] ? f.state : "idle";
+      const fr = pickFrame(sheet.anims[name], this._animTime(f, name));
+      const k = sheet.scale;
+      g.save();
+      g.translate(Math.round(x), Math.round(y));
+      if (f.facing < 0) g.scale(-1, 1);
+      this._flipAirReset(g, f, -f.h * 0.45, -1);
+      if (f.c1 !== CHAR[f.charId].c1) g.filter = "hue-rotate(180deg)";
+      g.drawImage(sheet.image, fr.x, fr.y, fr.w, fr.h, -fr.ax * k, -fr.ay * k, fr.w * k, fr.h * k);
+      g.restore();
+    }
+
+    // A fighter reset out of the air backflips once about their middle (`midY` in
+    // the current space; `up` is +1 when its y axis points up).
+    _flipAirReset(g, f, midY, up) {
+      if (!f.airReset) return;
+      g.translate(0, midY);
+      g.rotate(up * clamp(f.airResetT / RESET_FLIP, 0, 1) * Math.PI * 2);
+      g.translate(0, -midY);
+    }
+
+    // Seconds into the fighter's current animation. Attacks follow the sim's attack
+    // timer so frames line up with startup / active / recovery; everything else is
+    // timed from the first tick the animation showed up.
+    _animTime(f, name) {
+      const clock = this.animClock[f === this.f1 ? 0 : 1];
+      if (clock.name !== name) {
+        clock.name = name;
+        clock.since = this.sim.time;
+        clock.from = clock.pose;
       }
+      return f.attack ? Math.max(0, f.stateT) : this.sim.time - clock.since;
+    }
+
+    // Glow when super is ready.
+    _drawAura(g, x, top, hh, ms) {
+      const a = 0.10 + Math.sin(ms / 140) * 0.04;
+      g.fillStyle = `rgba(255,255,255,${a})`;
+      g.fillRect(x - 26, top + 4, 52, hh + 8);
+    }
 
-      // Name tag near feet (tiny)
+    // Name tag near feet (tiny)
+    _drawNameTag(g, f, x, y) {
       g.fillStyle = "rgba(0,0,0,0.55)";
       g.fillRect(x - 18, y + 10, 36, 8);
       g.fillStyle = "rgba(247,244,255,0.75)";
@@ -2147,42 +2251,853 @@
     }
   }
 
+  // Menu portrait: a head-and-shoulders bust in the in-game fighter's chunky style
+  // and colors, drawn at low res for CSS to scale up.
+  function drawPortrait(canvas, c) {
+    const g = canvas.getContext("2d");
+    const outline = "rgba(0,0,0,0.78)";
+    const hg = g.createLinearGradient(8, 0, 24, 0);
+    hg.addColorStop(0, c.c1);
+    hg.addColorStop(1, c.c2);
+    g.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Shoulders
+    g.fillStyle = outline;
+    g.fillRect(5, 21, 22, 11);
+    g.fillStyle = "rgba(255,255,255,0.08)";
+    g.fillRect(6, 22, 20, 10);
+    g.fillStyle = hg;
+    g.fillRect(6, 22, 20, 4);
+
+    // Head, facing right like the left-side fighter
+    g.fillStyle = outline;
+    g.fillRect(9, 5, 14, 15);
+    g.fillStyle = hg;
+    g.fillRect(10, 6, 12, 13);
+    g.fillStyle = "rgba(0,0,0,0.75)";
+    g.fillRect(15, 10, 3, 2);
+    g.fillStyle = "rgba(255,255,255,0.75)";
+    g.fillRect(18, 10, 2, 2);
+  }
+
   // Boot
   const canvas = document.getElementById("game");
   const hud = document.getElementById("hud");
   const overlay = document.getElementById("overlay");
   const muteBtn = document.getElementById("muteBtn");
   const sfxBtn = document.getElementById("sfxBtn");
-  const pickRohan = document.getElementById("pickRohan");
-  const pickDev = document.getElementById("pickDev");
+  const debugBtn = document.getElementById("debugBtn");
+  const pickList = document.getElementById("pickList");
+  const pickInfo = document.getElementById("pickInfo");
+  const slotYou = document.getElementById("slotYou");
+  const slotYouLabel = document.getElementById("slotYouLabel");
+  const slotYouName = document.getElementById("slotYouName");
+  const slotFoe = document.getElementById("slotFoe");
+  const slotFoeLabel = document.getElementById("slotFoeLabel");
+  const slotFoeName = document.getElementById("slotFoeName");
+  const fightBtn = document.getElementById("fightBtn");
   const difficulty = document.getElementById("difficulty");
+  const modeSelect = document.getElementById("mode");
+  const sideSelect = document.getElementById("side");
+  const stageSelect = document.getElementById("stage");
+  const trainingOpts = document.getElementById("trainingOpts");
+  const trainDummy = document.getElementById("trainDummy");
+  const trainTimer = document.getElementById("trainTimer");
+  const trainHp = document.getElementById("trainHp");
+  const trainMeter = document.getElementById("trainMeter");
+  const simpleControls = document.getElementById("simpleControls");
+  const padList = document.getElementById("padList");
+  const howGrid = document.getElementById("howGrid");
+  const howGridPvp = document.getElementById("howGridPvp");
+  const footerHint = document.getElementById("footerHint");
+  const remapBtn = document.getElementById("remapBtn");
+  const remapPanel = document.getElementById("remap");
+  const remapProfile = document.getElementById("remapProfile");
+  const remapReset = document.getElementById("remapReset");
+  const remapGrid = document.getElementById("remapGrid");
+  const remapMsg = document.getElementById("remapMsg");
+  const framesBtn = document.getElementById("framesBtn");
+  const framesPanel = document.getElementById("frames");
+  const framesChar = document.getElementById("framesChar");
+  const framesTable = document.getElementById("framesTable");
+  const framesChains = document.getElementById("framesChains");
+  const replayWatch = document.getElementById("replayWatch");
+  const replaySave = document.getElementById("replaySave");
+  const replayLoad = document.getElementById("replayLoad");
+  const replayFile = document.getElementById("replayFile");
+  const replayMsg = document.getElementById("replayMsg");
+  const replayBar = document.getElementById("replayBar");
+  const replayPause = document.getElementById("replayPause");
+  const replayStep = document.getElementById("replayStep");
+  const replaySpeed = document.getElementById("replaySpeed");
+  const replayExit = document.getElementById("replayExit");
+  const netUrl = document.getElementById("netUrl");
+  const netChar = document.getElementById("netChar");
+  const netDelay = document.getElementById("netDelay");
+  const netCode = document.getElementById("netCode");
+  const netCreate = document.getElementById("netCreate");
+  const netJoin = document.getElementById("netJoin");
+  const netCancel = document.getElementById("netCancel");
+  const netMsg = document.getElementById("netMsg");
+  const netBar = document.getElementById("netBar");
+  const netLeave = document.getElementById("netLeave");
 
   const audio = new RetroAudio();
   const game = new Game(canvas, hud, overlay, audio);
   game.start();
 
   function syncMuteButton(enabled) {
-    muteBtn.textContent = enabled ? "Music: ON (M)" : "Music: OFF (M)";
+    const key = keyLabel(game.bindings.global.mute[0]);
+    muteBtn.textContent = (enabled ? "Music: ON" : "Music: OFF") + ` (${key})`;
     muteBtn.style.borderColor = enabled ? "rgba(247, 244, 255, 0.18)" : "rgba(255, 23, 68, 0.35)";
   }
   function syncSfxButton(enabled) {
-    sfxBtn.textContent = enabled ? "SFX: ON (N)" : "SFX: OFF (N)";
+    const key = keyLabel(game.bindings.global.sfx[0]);
+    sfxBtn.textContent = (enabled ? "SFX: ON" : "SFX: OFF") + ` (${key})`;
     sfxBtn.style.borderColor = enabled ? "rgba(247, 244, 255, 0.18)" : "rgba(255, 23, 68, 0.35)";
   }
+  function syncDebugButton(enabled) {
+    const key = keyLabel(game.bindings.global.debug[0]);
+    debugBtn.textContent = (enabled ? "Hitboxes: ON" : "Hitboxes: OFF") + ` (${key})`;
+    debugBtn.setAttribute("aria-pressed", String(enabled));
+  }
   syncMuteButton(audio.enabled);
   syncSfxButton(audio.sfxEnabled);
+  syncDebugButton(game.debug);
 
-  async function startWith(charId) {
+  async function startWith(charId, foeId) {
+    const side = sideSelect.value;
     // Hide overlay, show HUD, lock audio.
     overlay.classList.add("is-hidden");
     await audio.unlock();
     audio.startMusic();
     const diff = (difficulty && difficulty.value) ? difficulty.value : "normal";
-    game.setHuman(charId, diff);
+    const mode = (modeSelect && modeSelect.value) ? modeSelect.value : "cpu";
+    const training = {
+      dummy: trainDummy.value,
+      infiniteTimer: trainTimer.checked,
+      refillHp: trainHp.checked,
+      refillMeter: trainMeter.checked,
+    };
+    game.setHuman(charId, foeId, diff, mode, training, side, resolveStage(), simpleControls.checked);
+  }
+
+  // Character select: "You" and the opponent each have a slot; clicking a portrait
+  // fills whichever slot is active. The opponent can also be left on Random, which
+  // is rolled when the match starts (so rematches keep the same opponent).
+  const RANDOM = "random";
+  const STAT_ROWS = [
+    ["Speed", (c) => c.speed],
+    ["Jump", (c) => c.jump],
+    ["Power", (c) => ["punch", "kick", "sweep", "throw"].reduce((sum, m) => sum + c.moves[m].dmg, 0)],
+    ["Reach", (c) => Math.max(c.moves.punch.range, c.moves.kick.range, c.moves.sweep.range)],
+  ];
+  let roster = [];
+  const select = { slot: 0, you: null, foe: RANDOM }; // slot 0 = you, 1 = opponent
+
+  function slotLabels() {
+    const mode = modeSelect ? modeSelect.value : "cpu";
+    if (mode === "pvp") return ["P1", "P2"];
+    return ["You", mode === "training" ? "DUMMY" : "CPU"];
+  }
+
+  function resolveFoe() {
+    if (select.foe !== RANDOM) return select.foe;
+    const pool = roster.length > 1 ? roster.filter((id) => id !== select.you) : roster;
+    return pool[Math.floor(Math.random() * pool.length)];
+  }
+
+  // Like the opponent, a Random stage is rolled when the match starts.
+  function resolveStage() {
+    if (stageSelect.value !== RANDOM) return stageSelect.value;
+    const ids = Object.keys(STAGES);
+    return ids[Math.floor(Math.random() * ids.length)];
+  }
+
+  function renderStages(ids) {
+    stageSelect.innerHTML = "";
+    for (const id of [...ids, RANDOM]) {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = id === RANDOM ? "Random" : STAGES[id].name;
+      stageSelect.appendChild(opt);
+    }
+    stageSelect.value = ids[0];
+  }
+
+  function renderRoster(ids) {
+    roster = ids.slice();
+    select.you = roster[0];
+    pickList.innerHTML = "";
+    for (const id of [...roster, RANDOM]) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "roster__cell";
+      btn.dataset.id = id;
+      const name = document.createElement("span");
+      name.className = "roster__name";
+      if (id === RANDOM) {
+        const mark = document.createElement("span");
+        mark.className = "roster__portrait roster__portrait--random";
+        mark.textContent = "?";
+        name.textContent = "RANDOM";
+        btn.append(mark, name);
+      } else {
+        const c = CHAR[id];
+        btn.style.setProperty("--pick", c.c1);
+        const portrait = document.createElement("canvas");
+        portrait.className = "roster__portrait";
+        portrait.width = 32;
+        portrait.height = 32;
+        drawPortrait(portrait, c);
+        name.textContent = c.name;
+        btn.append(portrait, name);
+      }
+      btn.addEventListener("click", () => choose(id));
+      btn.addEventListener("pointerenter", () => renderInfo(id));
+      btn.addEventListener("focus", () => renderInfo(id));
+      btn.addEventListener("pointerleave", () => renderInfo());
+      btn.addEventListener("blur", () => renderInfo());
+      pickList.appendChild(btn);
+    }
+
+    for (const sel of [netChar, framesChar]) {
+      const keep = sel.value;
+      sel.innerHTML = "";
+      for (const id of roster) {
+        const opt = document.createElement("option");
+        opt.value = id;
+        opt.textContent = CHAR[id].name;
+        sel.appendChild(opt);
+      }
+      sel.value = roster.includes(keep) ? keep : roster[0];
+    }
+    syncSelect();
+  }
+
+  function choose(id) {
+    if (select.slot === 0) {
+      if (id === RANDOM) return;
+      select.you = id;
+      select.slot = 1;
+    } else {
+      select.foe = id;
+    }
+    syncSelect();
+  }
+
+  function syncSelect() {
+    const [youLabel, foeLabel] = slotLabels();
+    const slots = [
+      [slotYou, slotYouLabel, slotYouName, select.you, youLabel],
+      [slotFoe, slotFoeLabel, slotFoeName, select.foe, foeLabel],
+    ];
+    slots.forEach(([btn, label, name, id, text], i) => {
+      const on = select.slot === i;
+      btn.classList.toggle("is-active", on);
+      btn.setAttribute("aria-pressed", String(on));
+      label.textContent = text;
+      name.textContent = id === RANDOM ? "RANDOM" : id ? CHAR[id].name : "—";
+      if (id && id !== RANDOM) name.style.setProperty("--pick", CHAR[id].c1);
+      else name.style.removeProperty("--pick");
+    });
+
+    for (const cell of pickList.children) {
+      const id = cell.dataset.id;
+      if (!id) continue;
+      cell.classList.toggle("is-you", id === select.you);
+      cell.classList.toggle("is-foe", id === select.foe);
+      cell.disabled = id === RANDOM && select.slot === 0;
+      cell.setAttribute("aria-label", `${id === RANDOM ? "Random" : CHAR[id].name}${id === select.you ? `, ${youLabel}` : ""}${id === select.foe ? `, ${foeLabel}` : ""}`);
+      for (const old of cell.querySelectorAll(".roster__badge")) old.remove();
+      const badges = [];
+      if (id === select.you) badges.push(["you", youLabel]);
+      if (id === select.foe) badges.push(["foe", foeLabel]);
+      for (const [kind, text] of badges) {
+        const badge = document.createElement("span");
+        badge.className = `roster__badge roster__badge--${kind}`;
+        badge.textContent = text.toUpperCase();
+        cell.appendChild(badge);
+      }
+    }
+    fightBtn.disabled = !select.you;
+    renderInfo();
+  }
+
+  // Name, blurb and stat bars for `id` (or the active slot's pick). Bars are
+  // relative to the strongest fighter on the roster.
+  function renderInfo(id = select.slot === 0 ? select.you : select.foe) {
+    pickInfo.innerHTML = "";
+    if (!id) return;
+    const head = document.createElement("div");
+    const name = document.createElement("span");
+    name.className = "roster__infoName";
+    const tag = document.createElement("span");
+    tag.className = "roster__infoTag";
+    const desc = document.createElement("p");
+    desc.className = "roster__infoDesc";
+    const stats = document.createElement("div");
+    stats.className = "roster__stats";
+
+    if (id === RANDOM) {
+      name.textContent = "RANDOM";
+      tag.textContent = "Anyone but you.";
+      desc.textContent = "Rolled when the fight starts; rematches keep the same opponent.";
+    } else {
+      const c = CHAR[id];
+      pickInfo.style.setProperty("--pick", c.c1);
+      pickInfo.style.setProperty("--pick2", c.c2);
+      name.textContent = c.name;
+      tag.textContent = c.tagline;
+      desc.textContent = c.description;
+      for (const [label, read] of STAT_ROWS) {
+        const best = Math.max(...roster.map((other) => read(CHAR[other])));
+        const row = document.createElement("div");
+        row.className = "stat";
+        const bar = document.createElement("span");
+        bar.className = "stat__bar";
+        const fill = document.createElement("span");
+        fill.className = "stat__fill";
+        fill.style.width = `${Math.round((read(c) / best) * 100)}%`;
+        bar.appendChild(fill);
+        row.append(label, bar);
+        stats.appendChild(row);
+      }
+      const sp = c.moves.special;
+      const row = document.createElement("div");
+      row.className = "stat stat--text";
+      row.append("Special", `${sp.kind === "projectile" ? "Fireball" : sp.kind === "throw" ? "Command grab" : "Rush"} · ${sp.cost} meter`);
+      stats.appendChild(row);
+    }
+    head.append(name, tag);
+    const text = document.createElement("div");
+    text.append(head, desc);
+    pickInfo.append(text, stats);
+  }
+
+  function showRosterError(err) {
+    pickList.innerHTML = "";
+    const msg = document.createElement("p");
+    msg.className = "roster__msg is-error";
+    msg.textContent = `Couldn't load the fighters and stages:\n${err.message}`;
+    pickList.appendChild(msg);
+  }
+
+  // Fetches JSON from one of the data folders next to the page.
+  const readFrom = (folder) => async (name) => {
+    const res = await fetch(`${folder}/${name}`);
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`.trim());
+    try {
+      return await res.json();
+    } catch (_) {
+      throw new Error("not valid JSON");
+    }
+  };
+  const readCharacterFile = readFrom("characters");
+
+  const readCharacterImage = (name) =>
+    new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error("couldn't load the image"));
+      img.src = `characters/${name}`;
+    });
+
+  function renderPads() {
+    const pads = game.pads.list();
+    padList.innerHTML = "";
+    if (!pads.length) {
+      const empty = document.createElement("div");
+      empty.className = "how__row";
+      empty.innerHTML = "<span>No controllers</span><span>Press any button on a pad</span>";
+      padList.appendChild(empty);
+      return;
+    }
+    for (const p of pads) {
+      const row = document.createElement("label");
+      row.className = "how__row";
+      const name = document.createElement("span");
+      name.textContent = `#${p.index + 1} ${p.id.slice(0, 36)}`;
+      const sel = document.createElement("select");
+      sel.className = "opt__select";
+      sel.setAttribute("aria-label", `Controller ${p.index + 1} side`);
+      for (const [value, label] of [["L", "Player 1"], ["R", "Player 2"], ["off", "Unassigned"]]) {
+        const o = document.createElement("option");
+        o.value = value;
+        o.textContent = label;
+        o.selected = p.side === value;
+        sel.appendChild(o);
+      }
+      sel.addEventListener("change", () => game.pads.setSide(p.index, sel.value));
+      row.appendChild(name);
+      row.appendChild(sel);
+      padList.appendChild(row);
+    }
+  }
+  game.pads.onChange = renderPads;
+  renderPads();
+
+  // Controls: the cheat-sheet grids and the remap panel both render from game.bindings.
+  const PROFILE_NAMES = { solo: "Solo", p1: "P1", p2: "P2", global: "System" };
+  let capture = null; // { profile, action, slot } while waiting for a key
+
+  function howRow(label, value) {
+    const row = document.createElement("div");
+    row.className = "how__row";
+    const a = document.createElement("span");
+    a.textContent = label;
+    const b = document.createElement("span");
+    b.textContent = value;
+    row.appendChild(a);
+    row.appendChild(b);
+    return row;
+  }
+
+  function moveLabel(b) {
+    const pairs = b.left.map((k, i) => keyLabel(k) + "/" + keyLabel(b.right[i]));
+    return pairs.length ? pairs.join(" or ") : "unbound";
+  }
+
+  function renderHow() {
+    const b = game.bindings;
+    const solo = b.solo;
+    const sys = b.global;
+    howGrid.replaceChildren(
+      howRow("Move", moveLabel(solo)),
+      howRow("Jump", keysLabel(solo.jump)),
+      howRow("Dash", "Double-tap " + moveLabel(solo)),
+      howRow("Crouch", "Hold " + keysLabel(solo.down, "/")),
+      howRow("Block", "Hold away (+ " + keysLabel(solo.down, "/") + " to block low)"),
+      howRow("Parry", "Tap toward just before a hit"),
+      howRow("Punch / Kick / Special", [solo.punch, solo.kick, solo.special].map((k) => keyLabel(k[0])).join(" / ")),
+      howRow("Overhead", "Toward + " + keyLabel(solo.punch[0])),
+      howRow("Throw", keysLabel(solo.throw)),
+      howRow("Super", "Special at 100% meter, or its own motion + " + keyLabel(solo.special[0]) + " with Simple controls off"),
+      howRow("Motions", "↓↘→, →↓↘, [←] → or 360 + " + keyLabel(solo.special[0]) + " (see Frame data), with Simple controls off"),
+      howRow("Cancel", keyLabel(solo.special[0]) + " as a punch or kick connects"),
+      howRow("Mute", keysLabel(sys.mute)),
+      howRow("SFX", keysLabel(sys.sfx)),
+      howRow("Restart", keysLabel(sys.restart)),
+      howRow("Training reset", keysLabel(sys.reset, "/") + " (+ ←/→ for a corner)"),
+      howRow("Hitbox overlay", keysLabel(sys.debug)),
+    );
+
+    const pvpRows = [];
+    for (const profile of ["p1", "p2"]) {
+      const p = b[profile];
+      const tag = PROFILE_NAMES[profile];
+      pvpRows.push(howRow(`${tag} Move / Jump / Crouch`, [moveLabel(p), keysLabel(p.jump, "/"), keysLabel(p.down, "/")].join(" / ")));
+      pvpRows.push(howRow(`${tag} Punch / Kick / Special / Throw`, [p.punch, p.kick, p.special, p.throw].map((k) => keyLabel(k[0])).join(" / ")));
+    }
+    howGridPvp.replaceChildren(...pvpRows);
+
+    footerHint.textContent = `Press ${keyLabel(sys.restart[0])} to rematch. Press ${keyLabel(sys.mute[0])} to mute.`;
+    syncMuteButton(audio.enabled);
+    syncSfxButton(audio.sfxEnabled);
+    syncDebugButton(game.debug);
   }
 
-  pickRohan.addEventListener("click", () => startWith("rohan"));
-  pickDev.addEventListener("click", () => startWith("dev"));
+  function renderRemap() {
+    const profile = remapProfile.value;
+    const keys = game.bindings[profile];
+    const actions = profile === "global" ? BIND_ACTIONS.global : BIND_ACTIONS.fighter;
+    const conflicts = findConflicts(game.bindings);
+    const clashing = new Set(conflicts.flatMap((c) => [c.a, c.b]));
+
+    const rows = actions.map(([action, label]) => {
+      const row = document.createElement("div");
+      row.className = "how__row";
+      if (clashing.has(profile + "." + action)) row.classList.add("is-conflict");
+      const name = document.createElement("span");
+      name.textContent = label;
+      const slots = document.createElement("span");
+      slots.className = "remap__keys";
+
+      const bound = keys[action];
+      const count = Math.min(BIND_SLOTS, bound.length + 1);
+      for (let slot = 0; slot < count; slot++) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "remap__key";
+        const isCapturing = capture && capture.profile === profile && capture.action === action && capture.slot === slot;
+        if (isCapturing) {
+          btn.classList.add("is-capturing");
+          btn.textContent = "press a key…";
+        } else if (slot < bound.length) {
+          btn.textContent = keyLabel(bound[slot]);
+        } else {
+          btn.classList.add("remap__key--add");
+          btn.textContent = "+";
+        }
+        btn.setAttribute("aria-label", `${label} key ${slot + 1}`);
+        btn.addEventListener("click", () => {
+          capture = { profile, action, slot };
+          renderRemap();
+        });
+        slots.appendChild(btn);
+      }
+      row.appendChild(name);
+      row.appendChild(slots);
+      return row;
+    });
+    remapGrid.replaceChildren(...rows);
+
+    const describe = (id) => {
+      const [p, a] = id.split(".");
+      const all = BIND_ACTIONS.fighter.concat(BIND_ACTIONS.global);
+      const entry = all.find(([name]) => name === a);
+      return `${PROFILE_NAMES[p]} ${entry ? entry[1] : a}`;
+    };
+    if (capture) {
+      remapMsg.textContent = "Press a key to bind it. Esc cancels, Backspace clears the slot.";
+      remapMsg.classList.remove("is-error");
+    } else if (conflicts.length) {
+      remapMsg.textContent = conflicts.map((c) => `${keyLabel(c.code)} is bound to ${describe(c.a)} and ${describe(c.b)}`).join(" · ");
+      remapMsg.classList.add("is-error");
+    } else {
+      remapMsg.textContent = "Click a key to rebind it. Bindings are saved in this browser.";
+      remapMsg.classList.remove("is-error");
+    }
+  }
+
+  function commitBindings() {
+    saveBindings(game.bindings);
+    renderRemap();
+    renderHow();
+  }
+
+  // Capture phase on window runs before Input's listeners, so the key doesn't also reach the game.
+  window.addEventListener("keydown", (e) => {
+    if (!capture) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const { profile, action, slot } = capture;
+    const keys = game.bindings[profile][action];
+    capture = null;
+    if (e.code === "Escape") {
+      renderRemap();
+      return;
+    }
+    if (e.code === "Backspace" || e.code === "Delete") {
+      if (slot < keys.length) keys.splice(slot, 1);
+    } else if (e.code) {
+      const dup = keys.indexOf(e.code);
+      if (dup !== -1 && dup !== slot) keys.splice(dup, 1);
+      keys[Math.min(slot, keys.length)] = e.code;
+    }
+    commitBindings();
+  }, true);
+
+  remapBtn.addEventListener("click", () => {
+    const open = remapPanel.hidden;
+    remapPanel.hidden = !open;
+    remapBtn.setAttribute("aria-expanded", String(open));
+    capture = null;
+    if (open) renderRemap();
+  });
+  remapProfile.addEventListener("change", () => {
+    capture = null;
+    renderRemap();
+  });
+  remapReset.addEventListener("click", () => {
+    capture = null;
+    game.bindings = cloneBindings(DEFAULT_BINDINGS);
+    commitBindings();
+  });
+  renderHow();
+
+  const MOVE_LABELS = {
+    punch: "Punch",
+    kick: "Kick",
+    sweep: "Sweep",
+    airPunch: "Air punch",
+    airKick: "Air kick",
+    overhead: "Overhead",
+    throw: "Throw",
+    special: "Special",
+    super: "Super",
+  };
+  // Motions as the arrows a fighter facing right presses (see readMotion in sim.js).
+  const MOTION_LABELS = { qcf: "↓↘→", dp: "→↓↘", charge: "[←] →", 360: "360" };
+
+  function renderFrames() {
+    const cell = (text, cls) => `<td${cls ? ` class="${cls}"` : ""}>${text}</td>`;
+    const adv = (n, tag) => {
+      if (tag) return cell(tag);
+      if (n === null) return cell("—");
+      return cell(formatAdvantage(n), n > 0 ? "frames__plus" : n < 0 ? "frames__minus" : "");
+    };
+    const rows = frameData(framesChar.value).map((r) =>
+      [
+        cell((MOVE_LABELS[r.move] || r.move) + (r.motion ? ` (${MOTION_LABELS[r.motion]})` : "")),
+        cell(r.startup),
+        cell(r.active),
+        cell(r.whiff === null ? r.recovery : `${r.recovery} (${r.whiff} whiff)`),
+        cell(r.dmg ?? "—"),
+        cell(r.height ? r.height[0].toUpperCase() + r.height.slice(1) : "—"),
+        adv(r.onHit, r.launch ? "Launch" : r.knockdown ? "KD" : null),
+        adv(r.onBlock, r.kind === "throw" ? "KD" : null),
+        cell(r.cancel ?? "—"),
+        cell(r.kind === "throw" ? "—" : r.juggle),
+      ].join("")
+    );
+    framesTable.innerHTML =
+      "<tr><th>Move</th><th>Startup</th><th>Active</th><th>Recovery</th><th>Dmg</th><th>Height</th><th>On hit</th><th>On block</th><th>Cancel</th><th>Juggle</th></tr>" +
+      rows.map((r) => `<tr>${r}</tr>`).join("");
+    const chains = CHAR[framesChar.value].chains.map((links) => links.map((name) => MOVE_LABELS[name]).join(" → "));
+    framesChains.textContent = chains.length ? `Chains: ${chains.join(", ")}` : "No chains.";
+  }
+
+  framesBtn.addEventListener("click", () => {
+    const open = framesPanel.hidden;
+    framesPanel.hidden = !open;
+    framesBtn.textContent = open ? "Hide" : "Show";
+    framesBtn.setAttribute("aria-expanded", String(open));
+    if (open) renderFrames();
+  });
+  framesChar.addEventListener("change", renderFrames);
+
+  // Difficulty only matters when a CPU brain is playing: vs CPU, or a training dummy set to CPU.
+  function syncModeOptions() {
+    const mode = modeSelect ? modeSelect.value : "cpu";
+    trainingOpts.hidden = mode !== "training";
+    if (difficulty) difficulty.disabled = mode === "pvp" || (mode === "training" && trainDummy.value !== "cpu");
+    if (roster.length) syncSelect();
+  }
+  if (modeSelect) modeSelect.addEventListener("change", syncModeOptions);
+  trainDummy.addEventListener("change", syncModeOptions);
+  syncModeOptions();
+
+  // Replays
+  function setReplayMsg(text, isError) {
+    replayMsg.textContent = text;
+    replayMsg.classList.toggle("is-error", !!isError);
+  }
+
+  function syncReplayButtons() {
+    replayWatch.disabled = !game.lastReplay;
+    replaySave.disabled = !game.lastReplay;
+  }
+
+  game.onReplayChange = (pb) => {
+    replayBar.hidden = !pb;
+    if (!pb) {
+      syncReplayButtons();
+      return;
+    }
+    replayPause.textContent = pb.paused ? "Play" : "Pause";
+    replayStep.disabled = !pb.paused;
+    replaySpeed.value = String(pb.speed);
+  };
+
+  async function watchReplay(replay) {
+    overlay.classList.add("is-hidden");
+    setReplayMsg("", false);
+    await audio.unlock();
+    audio.startMusic();
+    game.playReplay(replay);
+  }
+
+  function downloadReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    a.href = url;
+    a.download = `funny-fight-${replay.chars.join("-vs-")}-${stamp}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  replayWatch.addEventListener("click", () => {
+    if (game.lastReplay) watchReplay(parseReplay(game.lastReplay));
+  });
+  replaySave.addEventListener("click", () => {
+    if (game.lastReplay) downloadReplay(game.lastReplay);
+  });
+  replayLoad.addEventListener("click", () => replayFile.click());
+  replayFile.addEventListener("change", async () => {
+    const file = replayFile.files && replayFile.files[0];
+    replayFile.value = "";
+    if (!file) return;
+    let replay;
+    try {
+      replay = parseReplay(await file.text());
+    } catch (err) {
+      setReplayMsg(`${file.name}: ${err.message}`, true);
+      return;
+    }
+    watchReplay(replay);
+  });
+
+  replayPause.addEventListener("click", () => {
+    if (game.playback) game.setPlaybackPaused(!game.playback.paused);
+  });
+  replayStep.addEventListener("click", () => game.stepPlayback());
+  replaySpeed.addEventListener("change", () => game.setPlaybackSpeed(Number(replaySpeed.value)));
+  replayExit.addEventListener("click", () => game.stopPlayback());
+  syncReplayButtons();
+
+  // Online lobby
+  const NET_KEY = "funnyFight.net.v1";
+  let lobby = null; // NetClient while creating/joining a room
+
+  function loadNetSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(NET_KEY) || "{}");
+      if (saved.url) netUrl.value = saved.url;
+      if (saved.delay != null) netDelay.value = String(saved.delay);
+      if (saved.char && CHAR[saved.char]) netChar.value = saved.char;
+    } catch (_) {
+      // Corrupt settings just fall back to the defaults in the markup.
+    }
+  }
+
+  function saveNetSettings() {
+    try {
+      localStorage.setItem(NET_KEY, JSON.stringify({ url: netUrl.value, delay: Number(netDelay.value), char: netChar.value }));
+    } catch (_) {
+      // Private mode etc.: settings just don't stick.
+    }
+  }
+
+  function setNetMsg(text, isError) {
+    netMsg.textContent = text;
+    netMsg.classList.toggle("is-error", !!isError);
+  }
+
+  function setLobbyBusy(busy) {
+    netCreate.disabled = busy;
+    netJoin.disabled = busy;
+    netCancel.hidden = !busy;
+  }
+
+  function closeLobby() {
+    if (lobby) lobby.close();
+    lobby = null;
+    setLobbyBusy(false);
+  }
+
+  // Connects to the relay and sends `hello` (create or join). Hands the client to
+  // the game once the relay pairs us.
+  function openLobby(hello) {
+    closeLobby();
+    saveNetSettings();
+    let client;
+    try {
+      client = new NetClient(netUrl.value.trim());
+    } catch (err) {
+      setNetMsg(`Bad server address: ${err.message}`, true);
+      return;
+    }
+    lobby = client;
+    setLobbyBusy(true);
+    setNetMsg("Connecting…", false);
+
+    client.onOpen = () => client.send({ ...hello, char: netChar.value });
+    client.onClose = () => {
+      if (game.net && game.net.client === client) {
+        game.stopOnline();
+        setNetMsg("Connection to the relay was lost.", true);
+      } else if (lobby === client) {
+        lobby = null;
+        setLobbyBusy(false);
+        setNetMsg(`Can't reach ${netUrl.value}. Is server/relay.js running?`, true);
+      }
+    };
+    client.onMessage = async (msg) => {
+      if (game.net && game.net.client === client) {
+        if (msg.t === "left") {
+          game.stopOnline();
+          setNetMsg("Your opponent left the match.", true);
+        } else {
+          game.net.session.receive(msg);
+        }
+        return;
+      }
+      switch (msg.t) {
+        case "room":
+          netCode.value = msg.code;
+          setNetMsg(`Room ${msg.code}: waiting for an opponent…`, false);
+          break;
+        case "error":
+          closeLobby();
+          setNetMsg(msg.msg, true);
+          break;
+        case "start":
+          if (!msg.chars.every((id) => CHAR[id])) {
+            closeLobby();
+            setNetMsg("Your opponent picked a fighter this page doesn't have.", true);
+            break;
+          }
+          if (msg.stage != null && !STAGES[msg.stage]) {
+            closeLobby();
+            setNetMsg("The host picked a stage this page doesn't have.", true);
+            break;
+          }
+          lobby = null;
+          setLobbyBusy(false);
+          setNetMsg("", false);
+          overlay.classList.add("is-hidden");
+          game.startOnline(client, msg, Number(netDelay.value));
+          await audio.unlock();
+          audio.startMusic();
+          break;
+        default:
+          break;
+      }
+    };
+  }
+
+  game.onNetChange = (net) => {
+    netBar.hidden = !net;
+  };
+
+  loadNetSettings();
+  // The host's stage is the one the match is played on.
+  netCreate.addEventListener("click", () => openLobby({ t: "create", stage: resolveStage() }));
+  netJoin.addEventListener("click", () => {
+    const code = netCode.value.trim().toUpperCase();
+    if (!code) {
+      setNetMsg("Enter the room code your opponent got.", true);
+      return;
+    }
+    openLobby({ t: "join", code });
+  });
+  netCancel.addEventListener("click", () => {
+    closeLobby();
+    setNetMsg("", false);
+  });
+  netLeave.addEventListener("click", () => game.stopOnline());
+  [netUrl, netDelay, netChar].forEach((el) => el.addEventListener("change", saveNetSettings));
+
+  slotYou.addEventListener("click", () => {
+    select.slot = 0;
+    syncSelect();
+  });
+  slotFoe.addEventListener("click", () => {
+    select.slot = 1;
+    syncSelect();
+  });
+  fightBtn.addEventListener("click", () => startWith(select.you, resolveFoe()));
+
+  Promise.all([loadCharacters(readCharacterFile), loadStages(readFrom("stages"))]).then(
+    ([ids, stageIds]) => {
+      renderStages(stageIds);
+      game.setStage(STAGES[stageIds[0]]); // the menu's backdrop and music
+      renderRoster(ids);
+      loadNetSettings(); // again, now that the saved fighter can be selected
+      if (!framesPanel.hidden) renderFrames();
+      // Sheets are optional art; a fighter whose sheet fails keeps the built-in look.
+      loadSprites(ids, readCharacterFile, readCharacterImage).then(({ sheets, errors }) => {
+        game.sprites = sheets;
+        game.spriteErrors = errors;
+      });
+    },
+    showRosterError
+  );
 
   // Click anywhere unlocks audio (Safari/iOS vibes)
   window.addEventListener("pointerdown", async () => {
@@ -2196,6 +3111,8 @@
     if (audio.enabled) audio.startMusic();
   });
 
+  debugBtn.addEventListener("click", () => game.setDebug(!game.debug));
+
   sfxBtn.addEventListener("click", async () => {
     await audio.unlock();
     audio.setSfxEnabled(!audio.sfxEnabled);
@@ -0,0 +1,226 @@
+// Funny Fight netplay: rollback sessions over the WebSocket relay (server/relay.js).
+//
+// Each side simulates every tick immediately, guessing that the remote player is
+// still holding whatever they held last. When the real input arrives and the guess
+// was wrong, the sim is restored from the snapshot taken before that tick and the
+// ticks since are re-run with the corrected input. Periodic state checksums catch
+// the two machines drifting apart.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./sim.js"));
+  else root.FunnyFightNet = factory(root.FunnyFightSim);
+})(typeof self !== "undefined" ? self : this, (SimApi) => {
+  "use strict";
+
+  const { stateChecksum, TICK } = SimApi;
+
+  const SUM_INTERVAL = 60; // compare checksums once per second of confirmed play
+  const PING_INTERVAL = 60;
+  const WAIT_SPACING = 6; // when ahead, hold back at most one tick in this many
+
+  class RollbackSession {
+    // opts: { sim, side (0 = left fighter, 1 = right), inputDelay, maxRollback, send, now }
+    constructor(opts) {
+      this.sim = opts.sim;
+      this.side = opts.side;
+      this.inputDelay = opts.inputDelay ?? 2;
+      this.maxRollback = opts.maxRollback ?? 8;
+      this.send = opts.send;
+      this.now = opts.now || (() => Date.now());
+
+      this.local = new Map(); // frame -> our mask
+      this.remote = new Map(); // frame -> their mask, as received
+      this.predicted = new Map(); // frame -> guessed remote mask, for frames simulated without it
+      this.snapshots = new Map(); // frame -> sim.save() taken right after that frame
+      this.lastRemote = this.sim.frame; // every remote input up to here has arrived
+      this.lastRemoteMask = 0;
+      this.lastConfirmed = this.sim.frame; // both inputs final and simulated up to here
+      this.rollbackFrom = 0; // earliest mispredicted frame still to re-run (0 = none)
+
+      // Readouts for the HUD.
+      this.rollbackFrames = 0;
+      this.rtt = 0;
+      this.stalled = false;
+      this.desyncFrame = 0;
+
+      this.localSums = new Map();
+      this.remoteSums = new Map();
+
+      this.ticks = 0;
+      this._lastWait = 0;
+      this._remoteFrame = null; // { frame, tick }: their frame as of one of our ticks
+
+      this.onConfirm = null; // (frame, [leftMask, rightMask]) once a frame is final
+
+      this.snapshots.set(this.sim.frame, this.sim.save());
+      // Nobody can have input on the first `inputDelay` frames.
+      for (let f = this.sim.frame + 1; f <= this.sim.frame + this.inputDelay; f++) this._sendLocal(f, 0);
+    }
+
+    // True once the match is over and every frame of it is confirmed on both ends.
+    get finished() {
+      return this.sim.state.phase === "over" && this.lastConfirmed >= this.sim.frame && !this.rollbackFrom;
+    }
+
+    // Runs one local tick. Returns the tick's sim events, or null when the session
+    // held the tick back (too far ahead of the remote side, or waiting on its input).
+    advance(localMask) {
+      this.ticks += 1;
+      if (this.ticks % PING_INTERVAL === 0) this.send({ t: "ping", at: this.now(), f: this.sim.frame });
+      if (this.rollbackFrom) this._rollback();
+
+      const sim = this.sim;
+      if (sim.state.phase === "over") {
+        this._confirm();
+        return [];
+      }
+
+      const next = sim.frame + 1;
+      this.stalled = next - this.lastRemote > this.maxRollback;
+      if (this.stalled || this._shouldWait()) {
+        this._confirm();
+        return null;
+      }
+
+      this._sendLocal(next + this.inputDelay, localMask);
+      const events = this._stepFrame(next);
+      this._confirm();
+      return events;
+    }
+
+    receive(msg) {
+      switch (msg.t) {
+        case "input":
+          this._receiveInput(msg.f, msg.m);
+          break;
+        case "sum":
+          this.remoteSums.set(msg.f, msg.s);
+          this._compareSums(msg.f);
+          break;
+        case "ping":
+          this.send({ t: "pong", at: msg.at, f: this.sim.frame });
+          break;
+        case "pong":
+          this.rtt = Math.max(0, this.now() - msg.at);
+          // Their frame when they answered, aged by half the round trip.
+          this._remoteFrame = { frame: msg.f + (this.rtt / 2000) / TICK, tick: this.ticks };
+          break;
+        default:
+          break;
+      }
+    }
+
+    _sendLocal(frame, mask) {
+      this.local.set(frame, mask);
+      this.send({ t: "input", f: frame, m: mask });
+    }
+
+    _receiveInput(frame, mask) {
+      if (frame <= this.lastRemote || this.remote.has(frame)) return;
+      this.remote.set(frame, mask);
+      while (this.remote.has(this.lastRemote + 1)) {
+        this.lastRemote += 1;
+        this.lastRemoteMask = this.remote.get(this.lastRemote);
+      }
+
+      const guess = this.predicted.get(frame);
+      if (guess === undefined) return;
+      this.predicted.delete(frame);
+      if (guess !== mask && (!this.rollbackFrom || frame < this.rollbackFrom)) this.rollbackFrom = frame;
+    }
+
+    _stepFrame(frame) {
+      const mine = this.local.get(frame) ?? 0;
+      let theirs = this.remote.get(frame);
+      if (theirs === undefined) {
+        theirs = this.lastRemoteMask;
+        this.predicted.set(frame, theirs);
+      } else {
+        this.predicted.delete(frame);
+      }
+      const events = this.sim.step(this.side === 0 ? [mine, theirs] : [theirs, mine]);
+      this.snapshots.set(this.sim.frame, this.sim.save());
+      return events;
+    }
+
+    _rollback() {
+      const from = this.rollbackFrom;
+      const target = this.sim.frame;
+      this.rollbackFrom = 0;
+      this.sim.load(this.snapshots.get(from - 1));
+      this.rollbackFrames = target - from + 1;
+
+      // Events from re-run ticks are dropped: their sounds and sparks already played once.
+      while (this.sim.frame < target && this.sim.state.phase !== "over") this._stepFrame(this.sim.frame + 1);
+      for (const f of this.predicted.keys()) if (f > this.sim.frame) this.predicted.delete(f);
+    }
+
+    _shouldWait() {
+      if (!this._remoteFrame) return false;
+      const theirs = this._remoteFrame.frame + (this.ticks - this._remoteFrame.tick);
+      if (this.sim.frame - theirs < 2 || this.ticks - this._lastWait < WAIT_SPACING) return false;
+      this._lastWait = this.ticks;
+      return true;
+    }
+
+    _confirm() {
+      const upTo = Math.min(this.lastRemote, this.sim.frame);
+      while (this.lastConfirmed < upTo) {
+        const f = (this.lastConfirmed += 1);
+        const mine = this.local.get(f) ?? 0;
+        const theirs = this.remote.get(f);
+        if (this.onConfirm) this.onConfirm(f, this.side === 0 ? [mine, theirs] : [theirs, mine]);
+        this.local.delete(f);
+        this.remote.delete(f);
+
+        if (f % SUM_INTERVAL === 0) {
+          const s = stateChecksum(this.snapshots.get(f));
+          this.localSums.set(f, s);
+          this.send({ t: "sum", f, s });
+          this._compareSums(f);
+        }
+      }
+      // Only the newest confirmed snapshot can be rolled back to.
+      for (const f of this.snapshots.keys()) if (f < this.lastConfirmed) this.snapshots.delete(f);
+    }
+
+    _compareSums(frame) {
+      if (!this.localSums.has(frame) || !this.remoteSums.has(frame)) return;
+      if (this.localSums.get(frame) !== this.remoteSums.get(frame) && !this.desyncFrame) this.desyncFrame = frame;
+      this.localSums.delete(frame);
+      this.remoteSums.delete(frame);
+    }
+  }
+
+  // Thin JSON-over-WebSocket connection to the relay (browser only).
+  class NetClient {
+    constructor(url) {
+      this.ws = new WebSocket(url);
+      this.onOpen = null;
+      this.onMessage = null;
+      this.onClose = null;
+      this.ws.addEventListener("open", () => this.onOpen && this.onOpen());
+      this.ws.addEventListener("message", (e) => {
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch (_) {
+          return;
+        }
+        if (this.onMessage) this.onMessage(msg);
+      });
+      this.ws.addEventListener("close", () => this.onClose && this.onClose());
+    }
+
+    send(msg) {
+      if (this.ws.readyState === 1) this.ws.send(JSON.stringify(msg));
+    }
+
+    close() {
+      this.onClose = null;
+      this.onMessage = null;
+      this.ws.close();
+    }
+  }
+
+  return { RollbackSession, NetClient };
+});
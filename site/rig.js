@@ -0,0 +1,297 @@
+// Funny Fight rig: the skeleton game.js draws fighters with when they have no
+// sprite sheet. A pose is a handful of targets (hip, torso lean, hands, feet) in
+// fighter space: x forward, y up, origin on the floor between the feet. Poses are
+// keyframed per state and per move and interpolated; elbows and knees come from
+// two-bone IK, so only the ends of the limbs need keys.
+//
+// Move keys are placed by phase ("startup", "active", "recovery", plus a fraction
+// through it), so a slower character's kick winds up for longer with the same
+// keys. On "strike" keys the striking hand or foot goes into the hitbox that
+// attackHitboxWorld reports, stretching the limb if it has to.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./sim.js"));
+  else root.FunnyFightRig = factory(root.FunnyFightSim);
+})(typeof self !== "undefined" ? self : this, (SimApi) => {
+  "use strict";
+
+  const { CHAR, THROW_WHIFF, attackHitboxWorld } = SimApi;
+
+  // Bone lengths in pixels, sized to the 92 px standing hurtbox.
+  const BONES = { torso: 34, shoulder: 24, neck: 9, upperArm: 14, forearm: 14, thigh: 16, shin: 16 };
+
+  // A pose: hip position, torso lean (radians, + is forward), head tilt, and
+  // [front, back] hands and feet.
+  const pose = (hip, lean, hands, feet, head = 0) => ({ hip, lean, head, hands, feet });
+
+  const GUARD = pose([0, 30], 0.08, [[16, 50], [8, 56]], [[9, 0], [-10, 0]]);
+  const CROUCH = pose([-2, 14], 0.35, [[18, 38], [10, 34]], [[14, 0], [-14, 0]]);
+  const AIR = pose([0, 34], 0.1, [[14, 58], [4, 60]], [[8, 12], [-6, 16]]);
+  const BLOCK = pose([-3, 29], -0.05, [[10, 62], [8, 52]], [[10, 0], [-12, 0]], -0.1);
+  const CROUCH_BLOCK = pose([-4, 14], 0.25, [[12, 46], [8, 38]], [[14, 0], [-14, 0]], -0.1);
+
+  // Non-attack states, keyed in seconds since the state began. `loop` wraps at
+  // the last key; otherwise the last pose holds.
+  const STATE_POSES = {
+    idle: {
+      loop: true,
+      keys: [
+        [0, GUARD],
+        [0.6, pose([0, 29], 0.1, [[16, 49], [8, 55]], [[9, 0], [-10, 0]])],
+        [1.2, GUARD],
+      ],
+    },
+    walk: {
+      loop: true,
+      keys: [
+        [0, pose([0, 30], 0.1, [[16, 50], [8, 56]], [[13, 0], [-11, 0]])],
+        [0.125, pose([0, 32], 0.1, [[16, 51], [8, 57]], [[1, 0], [-1, 6]])],
+        [0.25, pose([0, 30], 0.1, [[16, 50], [8, 56]], [[-11, 0], [13, 0]])],
+        [0.375, pose([0, 32], 0.1, [[16, 51], [8, 57]], [[-1, 6], [1, 0]])],
+        [0.5, pose([0, 30], 0.1, [[16, 50], [8, 56]], [[13, 0], [-11, 0]])],
+      ],
+    },
+    crouch: { keys: [[0, CROUCH]] },
+    block: { keys: [[0, BLOCK]] },
+    crouchBlock: { keys: [[0, CROUCH_BLOCK]] },
+    // Blockstun: rocked back behind the guard, then settling into it.
+    blockstun: {
+      keys: [
+        [0, pose([-6, 28], -0.2, [[6, 60], [4, 50]], [[8, 0], [-14, 0]], -0.2)],
+        [0.1, BLOCK],
+      ],
+    },
+    crouchBlockstun: {
+      keys: [
+        [0, pose([-7, 13], 0.1, [[8, 44], [4, 36]], [[12, 0], [-16, 0]], -0.2)],
+        [0.1, CROUCH_BLOCK],
+      ],
+    },
+    jump: {
+      keys: [
+        [0, pose([0, 32], 0.05, [[12, 62], [2, 64]], [[4, -2], [-6, 0]])],
+        [0.18, AIR],
+      ],
+    },
+    dash: { keys: [[0, pose([4, 27], 0.4, [[10, 40], [-14, 42]], [[16, 2], [-16, 4]])]] },
+    backdash: { keys: [[0, pose([-4, 31], -0.25, [[14, 54], [2, 58]], [[6, 4], [-14, 0]])]] },
+    hit: {
+      keys: [
+        [0, pose([-6, 30], -0.35, [[2, 44], [-12, 48]], [[8, 0], [-12, 0]], -0.3)],
+        [0.2, pose([-3, 30], -0.1, [[10, 46], [2, 50]], [[9, 0], [-11, 0]], -0.1)],
+      ],
+    },
+    // Guard crush: arms knocked wide, swaying on the heels.
+    guardCrush: {
+      loop: true,
+      keys: [
+        [0, pose([-5, 30], -0.3, [[4, 70], [-14, 64]], [[10, 0], [-14, 0]], -0.35)],
+        [0.2, pose([-7, 29], -0.4, [[2, 68], [-16, 62]], [[10, 0], [-14, 0]], -0.45)],
+        [0.4, pose([-5, 30], -0.3, [[4, 70], [-14, 64]], [[10, 0], [-14, 0]], -0.35)],
+      ],
+    },
+    down: { keys: [[0, pose([4, 6], -1.5, [[-20, 2], [-34, 2]], [[34, 2], [24, 6]])]] },
+    launch: { keys: [[0, pose([-4, 32], -0.55, [[-6, 64], [-16, 58]], [[6, -4], [-8, 2]], -0.45)]] },
+    airHit: { keys: [[0, pose([-6, 30], -0.9, [[-14, 50], [-24, 42]], [[14, 6], [-2, 12]], -0.5)]] },
+    grabbed: { keys: [[0, pose([3, 31], 0.2, [[18, 62], [6, 66]], [[12, 3], [-6, 0]], -0.3)]] },
+  };
+
+  // Which limb lands each move (index 0 of it is the one that reaches the hitbox).
+  const STRIKE_LIMB = {
+    punch: "hands",
+    kick: "feet",
+    sweep: "feet",
+    airPunch: "hands",
+    airKick: "feet",
+    overhead: "hands",
+    throw: "hands",
+    special: "hands",
+    super: "hands",
+  };
+
+  // Attack keys: [phase, fraction through it, pose, strike?].
+  const MOVE_POSES = {
+    punch: [
+      ["startup", 0, GUARD],
+      ["startup", 0.6, pose([-2, 30], 0.02, [[6, 50], [12, 54]], [[9, 0], [-10, 0]])],
+      ["active", 0, pose([3, 30], 0.18, [[30, 52], [4, 52]], [[11, 0], [-12, 0]]), true],
+      ["active", 1, pose([3, 30], 0.2, [[30, 52], [4, 52]], [[11, 0], [-12, 0]]), true],
+      ["recovery", 0.4, pose([1, 30], 0.12, [[22, 52], [6, 54]], [[10, 0], [-11, 0]])],
+      ["recovery", 1, GUARD],
+    ],
+    kick: [
+      ["startup", 0, GUARD],
+      ["startup", 0.6, pose([-2, 31], -0.1, [[12, 54], [2, 52]], [[10, 22], [-10, 0]])],
+      ["active", 0, pose([4, 32], -0.35, [[8, 58], [-8, 52]], [[40, 40], [-10, 0]]), true],
+      ["active", 1, pose([4, 32], -0.37, [[8, 58], [-8, 52]], [[40, 40], [-10, 0]]), true],
+      ["recovery", 0.4, pose([-1, 31], -0.15, [[12, 54], [0, 52]], [[14, 20], [-10, 0]])],
+      ["recovery", 1, GUARD],
+    ],
+    sweep: [
+      ["startup", 0, CROUCH],
+      ["startup", 0.6, pose([-4, 14], 0.45, [[16, 32], [6, 22]], [[6, 2], [-14, 0]])],
+      ["active", 0, pose([0, 12], 0.5, [[14, 30], [-4, 8]], [[40, 10], [-12, 0]]), true],
+      ["active", 1, pose([0, 12], 0.5, [[14, 30], [-4, 8]], [[40, 10], [-12, 0]]), true],
+      ["recovery", 0.5, pose([-2, 13], 0.4, [[16, 34], [4, 20]], [[20, 2], [-13, 0]])],
+      ["recovery", 1, CROUCH],
+    ],
+    airPunch: [
+      ["startup", 0, AIR],
+      ["startup", 0.6, pose([-2, 34], 0, [[6, 60], [10, 58]], [[8, 12], [-6, 16]])],
+      ["active", 0, pose([2, 34], 0.25, [[28, 44], [2, 56]], [[6, 10], [-8, 16]]), true],
+      ["active", 1, pose([2, 34], 0.25, [[28, 44], [2, 56]], [[6, 10], [-8, 16]]), true],
+      ["recovery", 1, AIR],
+    ],
+    airKick: [
+      ["startup", 0, AIR],
+      ["startup", 0.6, pose([-2, 34], -0.1, [[12, 60], [0, 58]], [[6, 20], [-6, 14]])],
+      ["active", 0, pose([0, 34], -0.3, [[10, 60], [-8, 56]], [[38, 24], [-8, 14]]), true],
+      ["active", 1, pose([0, 34], -0.3, [[10, 60], [-8, 56]], [[38, 24], [-8, 14]]), true],
+      ["recovery", 1, AIR],
+    ],
+    // Both fists up over the head, then hammered down in front.
+    overhead: [
+      ["startup", 0, GUARD],
+      ["startup", 0.7, pose([-3, 32], -0.2, [[4, 84], [-2, 82]], [[9, 0], [-10, 0]], -0.1)],
+      ["active", 0, pose([5, 29], 0.35, [[30, 70], [20, 64]], [[14, 0], [-12, 0]]), true],
+      ["active", 1, pose([5, 29], 0.35, [[30, 70], [20, 64]], [[14, 0], [-12, 0]]), true],
+      ["recovery", 0.5, pose([4, 28], 0.3, [[26, 56], [16, 52]], [[13, 0], [-12, 0]])],
+      ["recovery", 1, GUARD],
+    ],
+    throw: [
+      ["startup", 0, GUARD],
+      ["active", 0, pose([4, 30], 0.25, [[26, 56], [22, 50]], [[12, 0], [-10, 0]]), true],
+      ["active", 1, pose([4, 30], 0.25, [[26, 56], [22, 50]], [[12, 0], [-10, 0]]), true],
+      ["recovery", 0.4, pose([-4, 30], -0.25, [[-6, 56], [-10, 52]], [[10, 0], [-14, 0]], -0.1)],
+      ["recovery", 1, GUARD],
+    ],
+    // A throw that grabbed nothing (its recovery runs THROW_WHIFF longer): the
+    // reach carries on into a stumble forward.
+    throwWhiff: [
+      ["active", 1, pose([4, 30], 0.25, [[26, 56], [22, 50]], [[12, 0], [-10, 0]])],
+      ["recovery", 0.3, pose([8, 27], 0.5, [[30, 42], [26, 38]], [[16, 0], [-12, 3]], 0.15)],
+      ["recovery", 0.75, pose([5, 28], 0.4, [[24, 42], [18, 40]], [[14, 0], [-12, 0]])],
+      ["recovery", 1, GUARD],
+    ],
+    special: [
+      ["startup", 0, GUARD],
+      ["startup", 0.8, pose([-3, 30], -0.1, [[-6, 42], [-10, 44]], [[10, 0], [-12, 0]])],
+      ["active", 0, pose([4, 29], 0.2, [[30, 52], [27, 47]], [[12, 0], [-12, 0]]), true],
+      ["recovery", 0.5, pose([3, 29], 0.18, [[28, 52], [25, 47]], [[12, 0], [-12, 0]])],
+      ["recovery", 1, GUARD],
+    ],
+    super: [
+      ["startup", 0, GUARD],
+      ["startup", 0.8, pose([-5, 28], -0.2, [[-10, 40], [-14, 42]], [[12, 0], [-14, 0]], -0.1)],
+      ["active", 0, pose([6, 28], 0.3, [[32, 52], [29, 46]], [[14, 0], [-14, 0]]), true],
+      ["recovery", 0.6, pose([5, 28], 0.26, [[30, 52], [27, 46]], [[14, 0], [-14, 0]])],
+      ["recovery", 1, GUARD],
+    ],
+  };
+
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const lerpPt = (a, b, t) => [lerp(a[0], b[0], t), lerp(a[1], b[1], t)];
+  const smooth = (t) => t * t * (3 - 2 * t);
+
+  function lerpPose(a, b, t) {
+    return {
+      hip: lerpPt(a.hip, b.hip, t),
+      lean: lerp(a.lean, b.lean, t),
+      head: lerp(a.head, b.head, t),
+      hands: [lerpPt(a.hands[0], b.hands[0], t), lerpPt(a.hands[1], b.hands[1], t)],
+      feet: [lerpPt(a.feet[0], b.feet[0], t), lerpPt(a.feet[1], b.feet[1], t)],
+    };
+  }
+
+  // The pose `t` seconds along [[time, pose], ...] keys, eased between neighbours.
+  function sampleKeys(keys, t, loop) {
+    const end = keys[keys.length - 1][0];
+    let at = Math.max(0, t);
+    if (loop && end > 0) at %= end;
+    if (at >= end) return keys[keys.length - 1][1];
+    let i = 0;
+    while (keys[i + 1][0] <= at) i++;
+    const [t0, a] = keys[i];
+    const [t1, b] = keys[i + 1];
+    return lerpPose(a, b, smooth((at - t0) / (t1 - t0)));
+  }
+
+  // Where a move's striking limb should land, in fighter space: a third of the way
+  // into its hitbox (long boxes would need silly arms to reach the middle), at
+  // mid-height. null for moves without one (projectiles).
+  function strikePoint(f, name) {
+    const box = attackHitboxWorld(f, name);
+    if (!box) return null;
+    const near = Math.min((box.x - f.x) * f.facing, (box.x + box.w - f.x) * f.facing);
+    return [near + box.w / 3, -(box.y + box.h / 2) - f.y];
+  }
+
+  // The fighter's pose `t` seconds into its state; attacks read `t` against the
+  // move's own startup / active / recovery.
+  function poseFor(f, t) {
+    const keys = MOVE_POSES[f.state];
+    if (!keys || !f.attack) {
+      const anim = STATE_POSES[f.state] || STATE_POSES.idle;
+      return sampleKeys(anim.keys, t, anim.loop);
+    }
+    const m = { ...CHAR[f.charId].moves[f.attack.name] };
+    if (f.attack.whiff) m.recovery += THROW_WHIFF;
+    const start = { startup: 0, active: m.startup, recovery: m.startup + m.active };
+    const target = strikePoint(f, f.state);
+    const limb = STRIKE_LIMB[f.state];
+    const timed = keys.map(([phase, frac, p, strike]) => {
+      const at = start[phase] + frac * m[phase];
+      if (!strike || !target) return [at, p];
+      const reach = p[limb].slice();
+      reach[0] = target;
+      return [at, { ...p, [limb]: reach }];
+    });
+    return sampleKeys(timed, t, false);
+  }
+
+  // Two-bone IK: the joint between bones `a` and `b` from `root` to `target`,
+  // bent to the `bend` side (+1 counter-clockwise). Out of reach, both bones
+  // stretch so the end still lands on the target.
+  function solveLimb(root, target, a, b, bend) {
+    const dx = target[0] - root[0];
+    const dy = target[1] - root[1];
+    const d = Math.max(1e-6, Math.hypot(dx, dy));
+    const ux = dx / d;
+    const uy = dy / d;
+    if (d >= a + b) {
+      const k = (a / (a + b)) * d;
+      return [root[0] + ux * k, root[1] + uy * k];
+    }
+    const cos = Math.max(-1, Math.min(1, (a * a + d * d - b * b) / (2 * a * d)));
+    const ang = Math.acos(cos) * bend;
+    const c = Math.cos(ang);
+    const s = Math.sin(ang);
+    return [root[0] + (ux * c - uy * s) * a, root[1] + (ux * s + uy * c) * a];
+  }
+
+  // Joint positions for a pose, in fighter space. `up` is the torso's direction.
+  function solveRig(p) {
+    const up = [Math.sin(p.lean), Math.cos(p.lean)];
+    const along = (n) => [p.hip[0] + up[0] * n, p.hip[1] + up[1] * n];
+    const shoulder = along(BONES.shoulder);
+    const arms = p.hands.map((hand, i) => {
+      const root = [shoulder[0] + (i ? -3 : 3) * up[1], shoulder[1] - (i ? -3 : 3) * up[0]];
+      return { root, joint: solveLimb(root, hand, BONES.upperArm, BONES.forearm, -1), end: hand };
+    });
+    const legs = p.feet.map((foot, i) => {
+      const root = [p.hip[0] + (i ? -4 : 4) * up[1], p.hip[1] - (i ? -4 : 4) * up[0]];
+      return { root, joint: solveLimb(root, foot, BONES.thigh, BONES.shin, 1), end: foot };
+    });
+    const headLean = p.lean + p.head;
+    return {
+      hip: p.hip,
+      neck: along(BONES.torso),
+      up,
+      head: along(BONES.torso + BONES.neck),
+      headUp: [Math.sin(headLean), Math.cos(headLean)],
+      arms,
+      legs,
+    };
+  }
+
+  return { BONES, STATE_POSES, MOVE_POSES, STRIKE_LIMB, lerpPose, poseFor, strikePoint, solveRig };
+});
@@ -0,0 +1,2408 @@
+// Funny Fight simulation core: fighters, moves, CPU brain and combat rules.
+//
+// Everything in here is deterministic and DOM-free: randomness comes from a seeded
+// generator, time is counted in fixed 60 Hz ticks, and side effects (sounds, screen
+// shake, particles) are reported as events for whoever drives the sim. The browser
+// renderer (game.js) loads this as a plain script; Node can `require()` it.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.FunnyFightSim = api;
+})(typeof self !== "undefined" ? self : this, () => {
+  "use strict";
+
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  const lerp = (a, b, t) => a + (b - a) * t;
+
+  function rectsOverlap(a, b) {
+    return (
+      a.x < b.x + b.w &&
+      a.x + a.w > b.x &&
+      a.y < b.y + b.h &&
+      a.y + a.h > b.y
+    );
+  }
+
+  // mulberry32: tiny, fast and good enough for fight-game dice. The whole
+  // generator state is one uint32, so it snapshots with the rest of the sim.
+  function nextRandom(sim) {
+    let t = (sim.rngState = (sim.rngState + 0x6d2b79f5) | 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  const TICK = 1 / 60;
+
+  const STAGE_W = 1900; // the classic arena, used when a Sim isn't given a stage
+  const STAGE_SPAWN = [520, 980];
+  const GRAV = 1500;
+
+  // Per-tick input for one fighter: a bitmask of what is held that tick. Presses
+  // (jump, attacks, dash taps) are derived inside the sim from the previous tick's mask.
+  const BTN = {
+    LEFT: 1,
+    RIGHT: 2,
+    UP: 4,
+    DOWN: 8,
+    PUNCH: 16,
+    KICK: 32,
+    SPECIAL: 64,
+    THROW: 128,
+    RESET: 256, // training: put both fighters back (center, or the held direction's corner)
+  };
+
+  // Fighters are data (site/characters/<id>.json). loadCharacters() checks each file
+  // with validateCharacter() and fills this in before any Sim is built.
+  const CHAR = {};
+
+  // Stages are data too (site/stages/<id>.json, see loadStages()). The sim only uses
+  // a stage's width and spawn points; the rest is for game.js to draw and play.
+  const STAGES = {};
+
+  // Stage art: each parallax layer and prop kind with its fields, "num" a number,
+  // "color" #rrggbb or #rrggbbaa, "text" a string. Every one also has a `scroll`.
+  const LAYER_KINDS = {
+    sun: { x: "num", y: "num", r: "num", core: "color", glow: "color" },
+    stars: { count: "num", height: "num", color: "color" },
+    skyline: { base: "num", minH: "num", maxH: "num", color: "color", windows: "color" },
+    mountains: { base: "num", height: "num", color: "color" },
+    clouds: { count: "num", top: "num", bottom: "num", drift: "num", color: "color" },
+  };
+  const PROP_KINDS = {
+    sign: { x: "num", y: "num", text: "text", color: "color", blink: "num" },
+    lamp: { x: "num", y: "num", color: "color", flicker: "num" },
+    crowd: { x: "num", y: "num", width: "num", color: "color", bob: "num" },
+    palm: { x: "num", y: "num", height: "num", color: "color", sway: "num" },
+    drifter: { y: "num", speed: "num", w: "num", h: "num", color: "color" },
+  };
+  const MUSIC_STEPS = 32; // one bar pattern of 16ths, looped
+
+  // Every fighter has exactly these moves: the input rules pick between them by name.
+  const MOVE_NAMES = ["punch", "kick", "sweep", "airPunch", "airKick", "overhead", "throw", "special", "super"];
+  // The normals: everything but the throw and the meter moves. Only these cancel.
+  const NORMAL_MOVES = MOVE_NAMES.filter((name) => !["throw", "special", "super"].includes(name));
+  // Attack heights. A standing guard stops high, mid and overhead hits, a crouching
+  // one mid and low; high hits also whiff over anyone crouching. Moves that leave
+  // theirs out get the usual one for their slot.
+  const HEIGHTS = ["high", "mid", "low", "overhead"];
+  const GUARD_STOPS = { stand: ["high", "mid", "overhead"], crouch: ["mid", "low"] };
+  const DEFAULT_HEIGHTS = { sweep: "low", airPunch: "overhead", airKick: "overhead", overhead: "overhead" };
+  const MOVE_KINDS = ["melee", "throw", "projectile"];
+  // Command inputs for the special and super (see readMotion), and the ones a
+  // character file that leaves them out gets.
+  const MOTIONS = ["qcf", "dp", "charge", "360"];
+  const DEFAULT_MOTIONS = { special: "qcf", super: "dp" };
+  // Sounds the renderer knows how to play.
+  const SFX_NAMES = ["punch", "kick", "dash", "hit", "block", "jump", "throw", "special", "super", "round", "ko", "parry", "crush"];
+
+  const BUF_TIME = 0.14;
+  const DASH_TIME = 0.14;
+  const DASH_CD = 0.38;
+  const DASH_TAP_FRAMES = 15; // second tap within ~240 ms
+  // Direction history for motions, in ticks: a quarter circle or dragon punch has to
+  // fit in MOTION_WINDOW and a 360 in SPIN_WINDOW; a charge holds back for
+  // CHARGE_TIME and goes forward within CHARGE_RELEASE of letting go.
+  const MOTION_WINDOW = 18;
+  const SPIN_WINDOW = 30;
+  const CHARGE_TIME = 30;
+  const CHARGE_RELEASE = 12;
+  const DIR_HISTORY = CHARGE_TIME + CHARGE_RELEASE;
+  const THROW_CD = 0.65;
+  // A throw that connects holds the defender for TECH_WINDOW first; pressing Throw
+  // in that time (or just before, through the input buffer) techs it and pushes
+  // both fighters apart at TECH_PUSH. A throw that grabs nothing recovers
+  // THROW_WHIFF later than usual.
+  const TECH_WINDOW = 0.12;
+  const TECH_PUSH = 320;
+  const TECH_HITSTOP = 0.06;
+  const THROW_WHIFF = 0.2;
+  // A blocked hit stuns for the move's own `blockstun` and slides the defender back
+  // along the ground at BLOCK_PUSHBACK of its knockback.
+  const BLOCK_PUSHBACK = 0.35;
+  // Guard meter: each blocked hit drains the move's `guardDamage` out of GUARD_MAX,
+  // and it refills at GUARD_REGEN per second whenever the fighter isn't blocking:
+  // neither in blockstun nor holding away. Draining it all is a guard crush: the
+  // defender stands open for GUARD_CRUSH (or until the next hit lands) and then
+  // gets a full meter back.
+  const GUARD_MAX = 100;
+  const GUARD_REGEN = 20;
+  const GUARD_CRUSH = 0.6;
+  const GUARD_CRUSH_HITSTOP = 0.12;
+  const PROJ_BLOCK_HITSTOP = 0.03;
+
+  // Parry: tapping toward the opponent opens a PARRY_WINDOW in which a melee hit or
+  // projectile does nothing. The attacker's move drags on PARRY_STAGGER longer, and
+  // a miss locks out another tap until PARRY_LOCKOUT after the first.
+  const PARRY_WINDOW = 0.1;
+  const PARRY_LOCKOUT = 0.4;
+  const PARRY_STAGGER = 0.1;
+  const PARRY_HITSTOP = 0.1;
+
+  // Share of vx a fighter keeps each tick while reeling, down or mid-attack.
+  const HITSTUN_FRICTION = 0.88;
+  const KNOCKDOWN_FRICTION = 0.82;
+  const ATTACK_FRICTION = 0.86;
+
+  // Walls: a fighter's side stops WALL_MARGIN px short of the stage edge. Moves with
+  // `wall` send the defender into a bounce (popped back out, still in hitstun) or a
+  // splat (pinned for a moment, then dropped) if the hit carries them into a wall.
+  const WALL_MARGIN = 20;
+  const WALL_KINDS = ["bounce", "splat"];
+  const WALL_CONTACT_SPEED = 20; // slower than this and they just come to rest against it
+  const WALL_BOUNCE_VX = 420;
+  const WALL_BOUNCE_VY = 340;
+  const WALL_BOUNCE_STUN = 0.5;
+  const WALL_SPLAT_TIME = 0.45;
+  const WALL_SPLAT_STUN = 0.6;
+
+  // Juggles: a launcher (a move with `launch`) pops the defender up, and each hit
+  // that keeps them there spends its `juggle` points from a pool of JUGGLE_POINTS.
+  // A hit the pool can't pay for passes straight through, and the juggle always
+  // ends in a knockdown that can't be skipped. Any other hit on someone in the air
+  // is an air reset: they flip out of it and land on their feet, untouchable until then.
+  const JUGGLE_POINTS = 4;
+  const JUGGLE_POP = 240; // each juggle hit keeps them rising at least this fast
+  const LAUNCH_CARRY = 0.35; // share of a launcher's knockback that still pushes them away
+  const JUGGLE_KNOCKDOWN = 0.7;
+  const AIR_HIT_HEIGHT = 24; // above a ground hit's hop: they were really in the air
+  const AIR_RESET_VY = 220;
+
+  // Combos: a hit only adds to a combo if the defender was still reeling from the
+  // last one. Each hit after the first keeps COMBO_SCALE_STEP less of its damage,
+  // down to COMBO_SCALE_MIN (100%, 90%, 80%, ... 30%).
+  const COMBO_SCALE_STEP = 0.1;
+  const COMBO_SCALE_MIN = 0.3;
+  const COMBO_SHOW = 1.2; // seconds a combo stays on the HUD after its last hit
+  const DROP_WINDOW = 0.2; // a fresh hit this soon after they recovered was a missed link
+
+  // Training mode: rounds never end, and whoever has been left alone this long gets
+  // their HP / meter topped back up (when those refills are on).
+  const TRAINING_DEFAULTS = { infiniteTimer: true, refillHp: true, refillMeter: true, dummy: "stand" };
+  const DUMMY_MODES = ["stand", "crouch", "jump", "block", "blockAfterHit", "cpu"];
+  const TRAINING_REFILL_DELAY = 1.0;
+  const TRAINING_RESET_GAP = 200;
+
+  // How far a fighter moving at `vx` slides before `friction` stops it, and the
+  // speed that slides exactly `dist`.
+  const slideDistance = (vx, friction) => Math.abs(vx) * TICK * friction / (1 - friction);
+  const slideSpeed = (dist, friction) => dist * (1 - friction) / (TICK * friction);
+
+  function emptyBuf() {
+    return { jump: 0, punch: 0, kick: 0, special: 0, throw: 0 };
+  }
+
+  function makeFighter(charId, x, side, control, palette = 0) {
+    const c = CHAR[charId];
+    const [c1, c2] = c.palettes[palette % c.palettes.length];
+    return {
+      charId,
+      control, // "cpu" | "solo" | "p1" | "p2" (which binding set drives this fighter)
+      name: c.name,
+      ui: c.ui,
+      c1,
+      c2,
+      speed: c.speed,
+      jump: c.jump,
+
+      x,
+      y: 0,
+      vx: 0,
+      vy: 0,
+      facing: side, // 1 => right, -1 => left
+
+      w: 46,
+      h: 92,
+      hp: 100,
+      hpBack: 100,
+      energy: 0,
+      energyMax: 100,
+
+      crouch: false,
+      dashT: 0,
+      dashDir: 0,
+      dashCooldown: 0,
+      throwCooldown: 0,
+      knockdownT: 0,
+      knockdownSlide: 0,
+      wallHit: null, // "bounce" | "splat" while a wall move's knockback is still carrying them
+      wallT: 0, // splatted: seconds left pinned to the wall
+      juggle: null, // launched: juggle points left (null when not being juggled)
+      airReset: false, // knocked out of the air by a non-launcher, until they land
+      airResetT: 0, // seconds since the air reset
+
+      parryT: 0, // seconds left in the parry window
+      parryCd: 0, // lockout before the next parry tap counts
+
+      comboHits: 0,
+      comboDamage: 0,
+      comboDropped: 0, // hits in the combo this fighter just dropped, for the HUD
+      comboT: 0,
+      freeT: 0, // seconds since this fighter last recovered from being hit
+
+      // Small input buffer for snappier feel (fighting games buffer inputs).
+      buf: emptyBuf(),
+      // Numpad directions relative to facing (6 forward, 2 down, 3 down-forward, ...),
+      // one per tick, newest last, for motion inputs.
+      dirs: [],
+      simple: true, // one-button specials instead of motions
+      prevMask: 0,
+      lastTapL: -9999, // frame numbers
+      lastTapR: -9999,
+
+      state: "idle",
+      stateT: 0,
+      onGround: true,
+      hitstunT: 0,
+      blockstunT: 0,
+      guardMeter: GUARD_MAX,
+      crushT: 0, // guard crushed: open to anything until it runs out
+      invulnT: 0,
+
+      attack: null,
+      attackHit: false,
+      specialCooldown: 0,
+
+      ai: { thinkT: 0, lastIntent: null, guardT: 0, parryRolled: false, techRolled: false, cancelRolled: false },
+    };
+  }
+
+  // Still reeling from a hit, so anything that lands now continues a combo.
+  function isStunned(f) {
+    return f.hitstunT > 0 || f.knockdownT > 0 || f.wallT > 0 || f.juggle !== null || f.airReset;
+  }
+
+  function fighterHeightNow(f) {
+    if (f.knockdownT > 0) return 46;
+    if (f.crouch && f.onGround) return 72;
+    return f.h;
+  }
+
+  function fighterHurtboxWorld(f) {
+    const hh = fighterHeightNow(f);
+    return {
+      x: f.x - f.w / 2,
+      y: -f.y - hh, // relative to floor, y up => negative down
+      w: f.w,
+      h: hh,
+    };
+  }
+
+  function attackHitboxWorld(f, moveName) {
+    const m = CHAR[f.charId].moves[moveName];
+    if (!m) return null;
+    if (m.kind !== "melee" && m.kind !== "throw") return null;
+    const forward = f.facing;
+    const range = m.range;
+    const hx = f.x + forward * (f.w * 0.35 + range * 0.5) - (range * 0.5);
+    const fh = fighterHeightNow(f);
+    const anchor = 0.72;
+    const hy = -f.y - (fh * anchor) - (m.h * 0.5) + (m.yOff || 0);
+    return { x: hx, y: hy, w: range, h: m.h };
+  }
+
+  function projectileBoxWorld(p) {
+    return { x: p.x - p.w / 2, y: -(p.y) - p.h / 2, w: p.w, h: p.h };
+  }
+
+  // How the defender is guarding against `attacker`: "stand" when holding away,
+  // "crouch" when holding down + away, null when they can't block right now (in the
+  // air, down, mid-attack, dashing, reeling from a hit that wasn't blocked, or
+  // guard-crushed).
+  function guardOf(defender, attacker) {
+    if (!defender.onGround || defender.knockdownT > 0 || defender.attack || defender.dashT > 0) return null;
+    if (defender.hitstunT > 0 || defender.crushT > 0) return null;
+    const awayDir = attacker.x > defender.x ? -1 : 1; // which direction is "away" from attacker
+    if (defender._moveDir !== awayDir) return null;
+    return defender.crouch ? "crouch" : "stand";
+  }
+
+  // Where in the direction history `dirs` (numpad notation, relative to facing,
+  // newest last) `motion` was finished, as an index into `dirs`, or -1 if it wasn't.
+  // Timing is lenient: the steps only have to come in order somewhere inside the
+  // window, with anything in between.
+  //   qcf     quarter circle forward: down, down-forward, forward
+  //   dp      dragon punch: forward, down, down-forward
+  //   charge  back (any of 1/4/7) held for CHARGE_TIME, then forward soon after
+  //   360     back, down and forward in any order inside SPIN_WINDOW, each as its own
+  //           straight direction (a diagonal doesn't count as either half): a full
+  //           circle with the up left out, so a spin on the ground doesn't jump
+  function motionEnd(dirs, motion) {
+    const from = (window) => Math.max(0, dirs.length - window);
+    const inOrder = (steps, window) => {
+      let i = 0;
+      for (let t = from(window); t < dirs.length; t++) if (dirs[t] === steps[i] && ++i === steps.length) return t;
+      return -1;
+    };
+    const back = (d) => d === 1 || d === 4 || d === 7;
+    const forward = (d) => d === 3 || d === 6 || d === 9;
+    switch (motion) {
+      case "qcf":
+        return inOrder([2, 3, 6], MOTION_WINDOW);
+      case "dp":
+        return inOrder([6, 2, 3], MOTION_WINDOW);
+      case "charge": {
+        // Walk back from the newest tick: some forward, then the held charge.
+        let i = dirs.length - 1;
+        while (i >= 0 && !back(dirs[i]) && dirs.length - 1 - i < CHARGE_RELEASE) i--;
+        const release = dirs.findIndex((d, t) => t > i && forward(d));
+        if (release < 0) return -1;
+        let held = 0;
+        while (i >= 0 && back(dirs[i])) {
+          held++;
+          i--;
+        }
+        return held >= CHARGE_TIME ? release : -1;
+      }
+      case "360": {
+        const at = [4, 2, 6].map((step) => dirs.indexOf(step, from(SPIN_WINDOW)));
+        return at.includes(-1) ? -1 : Math.max(...at);
+      }
+      default:
+        return -1;
+    }
+  }
+
+  // Whether the direction history `dirs` ends in `motion` (see motionEnd).
+  function readMotion(dirs, motion) {
+    return motionEnd(dirs, motion) >= 0;
+  }
+
+  // The guard that stops whatever `them` is doing: crouch unless it has to be stood.
+  function guardFor(them) {
+    const m = them.attack && CHAR[them.charId].moves[them.attack.name];
+    return m && !GUARD_STOPS.crouch.includes(m.height) ? "stand" : "crouch";
+  }
+
+  function aiDiff(diff) {
+    switch (diff) {
+      case "easy":
+        return 0.45;
+      case "hard":
+        return 0.82;
+      case "boss":
+        return 0.95;
+      case "normal":
+      default:
+        return 0.65;
+    }
+  }
+
+  function aiInput(state, me, them, dt, difficulty, random) {
+    const d = aiDiff(difficulty);
+    const out = {
+      move: 0,
+      down: false,
+      block: false,
+      crouch: false,
+      dash: 0,
+      jump: false,
+      punch: false,
+      kick: false,
+      special: false,
+      throw: false,
+    };
+
+    if (state.phase !== "fight") return out;
+    if (me.hp <= 0 || them.hp <= 0) return out;
+
+    // Grabbed: tech it or not, one roll per grab, and nothing else meanwhile. Easy
+    // hardly ever techs, boss about half the time.
+    if (them.attack && them.attack.grab > 0) {
+      if (me.ai.techRolled) return out;
+      me.ai.techRolled = true;
+      return random() < (d - 0.35) * 0.9 ? { ...out, throw: true } : out;
+    }
+    me.ai.techRolled = false;
+
+    // Parry: a reflex rather than a decision, so it's checked every tick as a melee
+    // attack is about to come out, once per attack. Easy almost never does it, boss
+    // gets nearly half.
+    const threat = them.attack && CHAR[them.charId].moves[them.attack.name];
+    if (threat && threat.kind === "melee") {
+      const until = threat.startup - them.stateT;
+      if (!me.ai.parryRolled && until > 0 && until <= PARRY_WINDOW * 0.5 && me.onGround && !me.attack) {
+        me.ai.parryRolled = true;
+        if (random() < (d - 0.4) * 0.8) return { ...(me.ai.lastIntent || out), move: 0, parry: true };
+      }
+    } else {
+      me.ai.parryRolled = false;
+    }
+
+    // Cancels: also a reflex. Once per normal that connects, sometimes confirm it
+    // into the special (see Sim._cancel), more often the harder it is.
+    const own = me.attack && CHAR[me.charId].moves[me.attack.name];
+    if (own && own.cancel > 0 && me.attack.connectT !== null) {
+      if (!me.ai.cancelRolled) {
+        me.ai.cancelRolled = true;
+        const { special } = CHAR[me.charId].moves;
+        if (me.specialCooldown <= 0 && me.energy >= special.cost && random() < lerp(0.05, 0.45, d)) return { ...out, special: true };
+      }
+    } else {
+      me.ai.cancelRolled = false;
+    }
+
+    // Short "brain tick" to feel more arcade and less perfect.
+    me.ai.thinkT = Math.max(0, me.ai.thinkT - dt);
+    if (me.ai.thinkT > 0) {
+      if (me.ai.lastIntent) return { ...out, ...me.ai.lastIntent };
+      return out;
+    }
+    me.ai.thinkT = lerp(0.28, 0.10, d) + random() * 0.05;
+
+    const dx = them.x - me.x;
+    const dist = Math.abs(dx);
+    const toward = dx > 0 ? 1 : -1;
+    const away = -toward;
+
+    const inThrow = dist < 60;
+    const inPunch = dist < 96;
+    const inKick = dist < 128;
+    const inSweep = dist < 138;
+    const special = CHAR[me.charId].moves.special;
+    // Zone with fireballs; a melee special (a charge, say) only comes out up close.
+    const inSpecial = special.kind === "projectile" ? dist > 150 && dist < 480 : dist < 200;
+
+    const themAir = !them.onGround && them.y > 6;
+
+    // Defense: react to active attacks, guessing the height better the harder it is.
+    if (them.attack && dist < 160 && random() < lerp(0.18, 0.62, d)) {
+      const right = guardFor(them);
+      const guard = random() < lerp(0.5, 0.95, d) ? right : (right === "stand" ? "crouch" : "stand");
+      out.move = away;
+      out.block = guard === "crouch";
+      out.down = out.block;
+      me.ai.lastIntent = out;
+      return out;
+    }
+
+    // Juggles: keep a launched opponent up with whatever their juggle can still pay
+    // for. Once it can't, or they've been reset out of the air, hits just pass
+    // through, so wait under them for the landing instead.
+    if (them.juggle !== null || them.airReset) {
+      const moves = CHAR[me.charId].moves;
+      const canPay = (name) => them.juggle !== null && them.juggle >= moves[name].juggle;
+      if (me.onGround && !me.attack && random() < lerp(0.25, 0.8, d)) {
+        if (inKick && canPay("kick") && moves.kick.launch > 0) out.kick = true;
+        else if (inPunch && canPay("punch")) out.punch = true;
+      }
+      if (dist > 70) out.move = toward;
+      me.ai.lastIntent = out;
+      return out;
+    }
+
+    // Anti-air: if opponent jumps in, smack them. A launcher turns it into a juggle;
+    // anything else only resets them.
+    if (themAir && dist < 130 && me.onGround && random() < lerp(0.05, 0.22, d)) {
+      const launcher = CHAR[me.charId].moves.kick.launch > 0 && inKick && random() < d;
+      out.kick = launcher;
+      out.punch = !launcher;
+      out.move = toward;
+      me.ai.lastIntent = out;
+      return out;
+    }
+
+    // Neutral movement: keep a "sweet spot" distance, but don't stand around where
+    // nothing reaches.
+    const sweet = lerp(165, 120, d);
+    if (dist > sweet + 30 || (!inKick && !inSpecial)) out.move = toward;
+    if (dist < sweet - 45) out.move = away;
+
+    // Dash decisions: close distance or disengage.
+    if (me.onGround && me.dashCooldown <= 0) {
+      if (dist > 260 && random() < lerp(0.02, 0.07, d)) out.dash = toward;
+      if (dist < 95 && random() < lerp(0.01, 0.05, d)) out.dash = away;
+    }
+
+    // Special / Super (zoning)
+    if (!me.attack && me.specialCooldown <= 0 && inSpecial) {
+      const wantSuper = me.energy >= 100 && random() < lerp(0.010, 0.040, d);
+      const wantSpecial = me.energy >= special.cost && random() < lerp(0.012, 0.040, d);
+      if (wantSuper || wantSpecial) {
+        out.special = true;
+        out.move = 0;
+        me.ai.lastIntent = out;
+        return out;
+      }
+    }
+
+    // Throws: punish blocking / close quarters
+    if (!me.attack && me.throwCooldown <= 0 && inThrow && me.onGround && them.onGround && random() < lerp(0.015, 0.065, d)) {
+      out.throw = true;
+      out.move = toward;
+      me.ai.lastIntent = out;
+      return out;
+    }
+
+    // Sweeps: low-risk trip when close.
+    if (!me.attack && inSweep && me.onGround && random() < lerp(0.010, 0.050, d)) {
+      out.kick = true;
+      out.crouch = true;
+      out.down = true;
+      me.ai.lastIntent = out;
+      return out;
+    }
+
+    // Melee: basic pressure, with the overhead (toward + punch) to open up a
+    // crouching guard.
+    if (!me.attack) {
+      if (them.crouch && inPunch && random() < lerp(0.010, 0.060, d)) {
+        out.punch = true;
+        out.move = toward;
+      } else if (inPunch && random() < lerp(0.020, 0.085, d)) out.punch = true;
+      else if (inKick && random() < lerp(0.015, 0.070, d)) out.kick = true;
+    }
+
+    // Dumb jumps (keeps it arcade).
+    if (me.onGround && dist < 260 && random() < lerp(0.0015, 0.0060, d)) out.jump = true;
+
+    me.ai.lastIntent = out;
+    return out;
+  }
+
+  // The training dummy. Same output shape as aiInput, so it drives a fighter the
+  // same way the CPU does; "cpu" just hands over to the real brain.
+  function dummyInput(mode, state, me, them, dt, difficulty, random) {
+    if (mode === "cpu") return aiInput(state, me, them, dt, difficulty, random);
+    const out = {
+      move: 0,
+      down: false,
+      block: false,
+      crouch: false,
+      dash: 0,
+      jump: false,
+      punch: false,
+      kick: false,
+      special: false,
+      throw: false,
+    };
+    if (state.phase !== "fight") return out;
+
+    const away = them.x > me.x ? -1 : 1;
+    switch (mode) {
+      case "crouch":
+        out.down = true;
+        out.crouch = true;
+        break;
+      case "jump":
+        out.jump = me.onGround;
+        break;
+      case "block":
+        out.move = away;
+        out.block = guardFor(them) === "crouch";
+        out.down = out.block;
+        break;
+      case "blockAfterHit":
+        // Let the first hit of a string through, then guard until the pressure stops.
+        if (me.hitstunT > 0 || me.blockstunT > 0 || me.knockdownT > 0) me.ai.guardT = 0.5;
+        else me.ai.guardT = Math.max(0, me.ai.guardT - dt);
+        if (me.ai.guardT > 0 && me.hitstunT <= 0) {
+          out.move = away;
+          out.block = guardFor(them) === "crouch";
+          out.down = out.block;
+        }
+        break;
+      case "stand":
+      default:
+        break;
+    }
+    return out;
+  }
+
+  // One match between two fighters. Construct with a seed and settings, then call
+  // step([maskLeft, maskRight]) once per 1/60 s tick. CPU-controlled fighters ignore
+  // their mask and think for themselves (with the sim's own seeded dice).
+  class Sim {
+    constructor(opts = {}) {
+      const chars = opts.chars || ["rohan", "dev"];
+      const control = opts.control || ["solo", "cpu"];
+
+      this.seed = (opts.seed ?? 1) >>> 0;
+      this.rngState = this.seed;
+      this.training = opts.training ? { ...TRAINING_DEFAULTS, ...opts.training } : null;
+      if (this.training && !DUMMY_MODES.includes(this.training.dummy)) this.training.dummy = "stand";
+      const stage = opts.stage ? STAGES[opts.stage] : null;
+      if (opts.stage && !stage) throw new Error(`Unknown stage "${opts.stage}"`);
+      this.stage = stage;
+      // Which area of the stage the round is in (1 once a breakable wall gave way).
+      this.arena = { area: 0, wallHits: 0 };
+      this.spawn = stage ? stage.spawn.slice() : STAGE_SPAWN.slice();
+      // Everything needed to rebuild this match from scratch (replays, netplay).
+      this.config = {
+        seed: this.seed,
+        chars: chars.slice(),
+        control: control.slice(),
+        difficulty: opts.difficulty || "normal",
+        bestOf: opts.bestOf ?? 3,
+        training: this.training ? { ...this.training } : null,
+        stage: stage ? stage.id : null,
+        // Per side: one-button specials (the default, which older replays played
+        // with) or motion inputs.
+        simple: (opts.simple || [true, true]).map(Boolean),
+      };
+      this.random = () => nextRandom(this);
+
+      this.frame = 0;
+      this.time = 0;
+      this.events = [];
+      this.frozen = false; // true when the last step was swallowed by hitstop
+
+      this.state = {
+        phase: "intro", // intro|fight|ko|over
+        msg: "",
+        msgT: 0,
+        timer: 99,
+        introT: 0,
+        koT: 0,
+      };
+
+      this.match = {
+        bestOf: opts.bestOf ?? 3,
+        winsL: 0,
+        winsR: 0,
+        round: 1,
+        over: false,
+        difficulty: opts.difficulty || "normal",
+      };
+
+      // In a mirror match the right-hand copy wears its alternate colors.
+      this.f1 = makeFighter(chars[0], this.spawn[0], 1, control[0]);
+      this.f2 = makeFighter(chars[1], this.spawn[1], -1, control[1], chars[0] === chars[1] ? 1 : 0);
+      this.f1.simple = this.config.simple[0];
+      this.f2.simple = this.config.simple[1];
+
+      this.projectiles = [];
+      this.hitstopT = 0;
+      this.refillT = [0, 0]; // training: seconds each fighter has been left alone
+      // After a hit or block: which frame each side could act again (see _noteActionable).
+      this.advWatch = null;
+
+      this._startRoundIntro(true);
+    }
+
+    // The stage area being fought in (null on the classic arena) and its width.
+    get area() {
+      if (!this.stage) return null;
+      return this.arena.area ? this.stage.wallBreak.area : this.stage;
+    }
+
+    get stageW() {
+      return this.stage ? this.area.width : STAGE_W;
+    }
+
+    _emit(ev) {
+      this.events.push(ev);
+    }
+
+    _sfx(name, intensity = 1) {
+      this._emit({ type: "sfx", name, intensity });
+    }
+
+    // Screen shake / flash requests; the renderer takes the max of what it has.
+    _fx(shake, flash) {
+      this._emit({ type: "fx", shake, flash });
+    }
+
+    // Puts a fighter back to a fresh-round state at `x` (full HP, empty meter).
+    _resetFighter(f, x) {
+      f.x = x;
+      f.y = 0;
+      f.vx = 0;
+      f.vy = 0;
+      f.onGround = true;
+      f.crouch = false;
+      f.dashT = 0;
+      f.dashCooldown = 0;
+      f.throwCooldown = 0;
+      f.knockdownT = 0;
+      f.wallHit = null;
+      f.wallT = 0;
+      f.juggle = null;
+      f.airReset = false;
+      f.airResetT = 0;
+      f.hitstunT = 0;
+      f.blockstunT = 0;
+      f.guardMeter = GUARD_MAX;
+      f.crushT = 0;
+      f.invulnT = 0;
+      f.parryT = 0;
+      f.parryCd = 0;
+      f.attack = null;
+      f.attackHit = false;
+      f.specialCooldown = 0;
+      f.energy = 0;
+      f.hp = 100;
+      f.hpBack = 100;
+      f.comboHits = 0;
+      f.comboDamage = 0;
+      f.comboDropped = 0;
+      f.comboT = 0;
+      f.freeT = 0;
+      f.buf = emptyBuf();
+      f.dirs = [];
+      f.lastTapL = f.lastTapR = -9999;
+    }
+
+    _startRoundIntro(isNewMatch) {
+      // A training session is one endless round; only the reset button moves people.
+      if (this.training && !isNewMatch) return;
+
+      // Reset fighters for a new round, keep match wins.
+      this.arena = { area: 0, wallHits: 0 };
+      this._resetFighter(this.f1, this.spawn[0]);
+      this._resetFighter(this.f2, this.spawn[1]);
+      this.advWatch = null;
+
+      this.state.phase = "intro";
+      this.state.timer = 99;
+      this.state.introT = 2.4;
+      this.state.koT = 0;
+      this.state.msgT = 1.2;
+      this.state.msg = isNewMatch ? "ROUND 1" : "ROUND " + String(this.match.round);
+      this._sfx("round", 1);
+    }
+
+    // Advance one tick. `inputs` holds one BTN mask per fighter (left, right).
+    // Returns the events raised during the tick.
+    step(inputs = [0, 0]) {
+      const dt = TICK;
+      this.events = [];
+      this.frozen = false;
+      if (this.state.phase === "over") return this.events;
+
+      this.frame += 1;
+      this.time = this.frame * TICK;
+
+      const f1 = this.f1;
+      const f2 = this.f2;
+
+      if (this.training) this._checkTrainingReset(inputs);
+
+      // Inputs (buffered)
+      const in1 = this._readFighterInput(f1, f2, inputs[0] | 0, dt);
+      const in2 = this._readFighterInput(f2, f1, inputs[1] | 0, dt);
+
+      // Hitstop freezes gameplay.
+      if (this.hitstopT > 0) {
+        this.hitstopT = Math.max(0, this.hitstopT - dt);
+        this.frozen = true;
+        return this.events;
+      }
+
+      // Phase transitions
+      if (this.state.phase === "intro") {
+        this.state.introT -= dt;
+        const r = this.match.round;
+        if (this.state.introT > 1.65) this.state.msg = "ROUND " + String(r);
+        else if (this.state.introT > 0.95) this.state.msg = "READY";
+        else this.state.msg = "FIGHT";
+        if (this.state.introT <= 0) {
+          this.state.phase = "fight";
+          this.state.msg = "";
+        }
+      } else if (this.state.phase === "fight") {
+        if (!this.training || !this.training.infiniteTimer) this.state.timer -= dt;
+        if (this.state.timer <= 0 && this.training) {
+          this.state.timer = 99;
+        } else if (this.state.timer <= 0) {
+          this.state.timer = 0;
+          this._enterKO("TIME");
+        }
+      } else if (this.state.phase === "ko") {
+        this.state.koT -= dt;
+        if (this.state.koT <= 0) {
+          if (this.match.over) {
+            this.state.phase = "over";
+            this._emit({ type: "matchOver" });
+            return this.events;
+          }
+          this.match.round += 1;
+          this.projectiles = [];
+          this.hitstopT = 0;
+          this._emit({ type: "roundReset" });
+          this._startRoundIntro(false);
+        }
+      }
+
+      // Face each other
+      f1.facing = f2.x > f1.x ? 1 : -1;
+      f2.facing = f1.x > f2.x ? 1 : -1;
+
+      this._applyInput(f1, in1, f2, dt);
+      this._applyInput(f2, in2, f1, dt);
+
+      // Physics + resolve overlap
+      this._integrate(f1, dt);
+      this._integrate(f2, dt);
+      this._separateFighters(f1, f2);
+
+      // Projectiles
+      this._updateProjectiles(dt);
+
+      // Attacks / hits
+      this._resolveGrab(f1, f2, dt);
+      this._resolveGrab(f2, f1, dt);
+      this._resolveAttacks(f1, f2);
+      this._resolveAttacks(f2, f1);
+
+      // KO check
+      if (this.training) {
+        this._tickTraining(dt);
+      } else if (this.state.phase === "fight") {
+        if (f1.hp <= 0 || f2.hp <= 0) {
+          const winner = f1.hp <= 0 ? f2.name : f1.name;
+          this._enterKO(winner);
+        }
+      }
+
+      this._tickHpBack(f1, dt);
+      this._tickHpBack(f2, dt);
+      return this.events;
+    }
+
+    _enterKO(winner) {
+      if (this.state.phase === "ko") return;
+      this.state.phase = "ko";
+      this.state.koT = 2.6;
+
+      let winSide = null; // "L" | "R" | null (draw)
+      let winName = "";
+
+      if (winner === "TIME") {
+        if (this.f1.hp === this.f2.hp) {
+          winSide = null;
+          winName = "";
+          this.state.msg = "DRAW";
+        } else if (this.f1.hp > this.f2.hp) {
+          winSide = "L";
+          winName = this.f1.name;
+          this.state.msg = this.f1.name + " WINS";
+        } else {
+          winSide = "R";
+          winName = this.f2.name;
+          this.state.msg = this.f2.name + " WINS";
+        }
+      } else if (winner === this.f1.name) {
+        winSide = "L";
+        winName = this.f1.name;
+        this.state.msg = this.f1.name + " WINS";
+      } else if (winner === this.f2.name) {
+        winSide = "R";
+        winName = this.f2.name;
+        this.state.msg = this.f2.name + " WINS";
+      } else {
+        // Fallback
+        winSide = null;
+        winName = "";
+        this.state.msg = "KO";
+      }
+
+      if (winSide === "L") this.match.winsL += 1;
+      if (winSide === "R") this.match.winsR += 1;
+
+      const toWin = Math.floor(this.match.bestOf / 2) + 1;
+      if (winSide && (this.match.winsL >= toWin || this.match.winsR >= toWin)) {
+        this.match.over = true;
+        this.state.koT = 4.0;
+        this.state.msg = winName ? (winName + " WINS MATCH") : "MATCH OVER";
+      }
+
+      // Stop remaining action immediately.
+      this.projectiles = [];
+      this.f1.attack = null;
+      this.f2.attack = null;
+      this.f1.dashT = this.f2.dashT = 0;
+      this.f1.buf = emptyBuf();
+      this.f2.buf = emptyBuf();
+
+      this._sfx("ko", 1);
+      this._fx(1.0, 0.10);
+      this.f1.hp = Math.max(0, this.f1.hp);
+      this.f2.hp = Math.max(0, this.f2.hp);
+    }
+
+    _readFighterInput(me, them, mask, dt) {
+      if (me.control === "cpu") {
+        const cpuIn = aiInput(this.state, me, them, dt, this.match.difficulty, this.random);
+        this._queueAi(me, cpuIn);
+        return cpuIn;
+      }
+      if (me.control === "dummy") {
+        const dummyIn = dummyInput(this.training.dummy, this.state, me, them, dt, this.match.difficulty, this.random);
+        this._queueAi(me, dummyIn);
+        return dummyIn;
+      }
+      return this._readHumanInput(me, them, mask);
+    }
+
+    _readHumanInput(me, them, mask) {
+      const pressed = mask & ~me.prevMask;
+      me.prevMask = mask;
+
+      const left = !!(mask & BTN.LEFT);
+      const right = !!(mask & BTN.RIGHT);
+      const down = !!(mask & BTN.DOWN);
+      const up = !!(mask & BTN.UP);
+
+      if (pressed & BTN.UP) me.buf.jump = BUF_TIME;
+      if (pressed & BTN.PUNCH) me.buf.punch = BUF_TIME;
+      if (pressed & BTN.KICK) me.buf.kick = BUF_TIME;
+      if (pressed & BTN.SPECIAL) me.buf.special = BUF_TIME;
+      if (pressed & BTN.THROW) me.buf.throw = BUF_TIME;
+
+      let move = 0;
+      if (left && !right) move = -1;
+      if (right && !left) move = 1;
+
+      // Double-tap dash (tracked per fighter, in frames). Taps with down held are
+      // part of a motion (a dragon punch taps forward twice), so they don't count.
+      let dash = 0;
+      if (pressed & BTN.LEFT) {
+        if (this.frame - me.lastTapL < DASH_TAP_FRAMES && !down) dash = -1;
+        me.lastTapL = down ? -9999 : this.frame;
+      }
+      if (pressed & BTN.RIGHT) {
+        if (this.frame - me.lastTapR < DASH_TAP_FRAMES && !down) dash = 1;
+        me.lastTapR = down ? -9999 : this.frame;
+      }
+
+      // Translate "block" as down+away (Street Fighter-ish). Crouch is down without away.
+      const awayDir = them.x > me.x ? -1 : 1;
+      const block = down && move === awayDir;
+      const crouch = down && !block;
+      // Likewise down-forward is part of a motion, not a parry.
+      const parry = !down && !!(pressed & (awayDir < 0 ? BTN.RIGHT : BTN.LEFT));
+
+      const forward = move === -awayDir ? 1 : move === awayDir ? -1 : 0;
+      me.dirs.push(5 + forward + (up && !down ? 3 : down && !up ? -3 : 0));
+      if (me.dirs.length > DIR_HISTORY) me.dirs.shift();
+
+      return { move, down, block, crouch, dash, parry };
+    }
+
+    _queueAi(me, aiIn) {
+      if (!aiIn) return;
+      if (aiIn.jump) me.buf.jump = BUF_TIME;
+      if (aiIn.punch) me.buf.punch = BUF_TIME;
+      if (aiIn.kick) me.buf.kick = BUF_TIME;
+      if (aiIn.special) me.buf.special = BUF_TIME;
+      if (aiIn.throw) me.buf.throw = BUF_TIME;
+    }
+
+    _applyInput(me, input, them, dt) {
+      // Expose for block rules
+      me._blockHeld = !!input.block;
+      me._moveDir = input.move;
+
+      // Cooldowns / timers
+      me.specialCooldown = Math.max(0, me.specialCooldown - dt);
+      me.dashCooldown = Math.max(0, me.dashCooldown - dt);
+      me.throwCooldown = Math.max(0, me.throwCooldown - dt);
+      me.invulnT = Math.max(0, me.invulnT - dt);
+      me.parryT = Math.max(0, me.parryT - dt);
+      me.parryCd = Math.max(0, me.parryCd - dt);
+      me.hitstunT = Math.max(0, me.hitstunT - dt);
+      me.blockstunT = Math.max(0, me.blockstunT - dt);
+      if (me.crushT > 0) {
+        me.crushT = Math.max(0, me.crushT - dt);
+        if (me.crushT <= 0) me.guardMeter = GUARD_MAX;
+      } else if (me.blockstunT <= 0 && me._moveDir !== (them.x > me.x ? -1 : 1)) {
+        // Holding away (standing or crouching) is blocking, so it pauses the refill.
+        me.guardMeter = Math.min(GUARD_MAX, me.guardMeter + GUARD_REGEN * dt);
+      }
+      me.knockdownT = Math.max(0, me.knockdownT - dt);
+      me.comboT = Math.max(0, me.comboT - dt);
+      if (me.comboT <= 0) {
+        me.comboHits = 0;
+        me.comboDamage = 0;
+        me.comboDropped = 0;
+      }
+      me.freeT = isStunned(me) ? 0 : me.freeT + dt;
+      if (me.hitstunT <= 0 && me.knockdownT <= 0 && me.wallT <= 0) me.wallHit = null;
+      if (me.airReset) me.airResetT += dt;
+
+      // Input buffer decay
+      me.buf.jump = Math.max(0, me.buf.jump - dt);
+      me.buf.punch = Math.max(0, me.buf.punch - dt);
+      me.buf.kick = Math.max(0, me.buf.kick - dt);
+      me.buf.special = Math.max(0, me.buf.special - dt);
+      me.buf.throw = Math.max(0, me.buf.throw - dt);
+
+      // Grabbed: held in place until the throw lands or they tech it.
+      if (them.attack && them.attack.grab > 0) {
+        me.state = "grabbed";
+        me.attack = null;
+        me.vx = 0;
+        return;
+      }
+
+      // Splatted: stuck on the wall until it wears off, then they drop.
+      if (me.wallT > 0) {
+        me.wallT = Math.max(0, me.wallT - dt);
+        me.state = "hit";
+        me.attack = null;
+        return;
+      }
+
+      // Launched or knocked out of the air: helpless until they land.
+      if (me.juggle !== null || me.airReset) {
+        me.state = me.juggle !== null && me.vy > 0 ? "launch" : "airHit";
+        me.attack = null;
+        me.vx *= HITSTUN_FRICTION;
+        return;
+      }
+
+      // Knocked down: no actions.
+      if (me.knockdownT > 0) {
+        me.state = "down";
+        me.attack = null;
+        me.vx *= KNOCKDOWN_FRICTION;
+        return;
+      }
+
+      if (me.hitstunT > 0) {
+        me.state = "hit";
+        me.attack = null;
+        me.vx *= HITSTUN_FRICTION;
+        return;
+      }
+
+      // Guard crushed: wide open, and can't do anything about it.
+      if (me.crushT > 0) {
+        me.state = "guardCrush";
+        me.crouch = false;
+        me.attack = null;
+        me.vx *= HITSTUN_FRICTION;
+        return;
+      }
+
+      // Blockstun: stuck guarding on the ground while the pushback slides them
+      // back, but still free to switch between a standing and a crouching guard.
+      if (me.blockstunT > 0) {
+        me.crouch = !!input.down;
+        me.state = me.crouch ? "crouchBlockstun" : "blockstun";
+        me.attack = null;
+        me.vx *= HITSTUN_FRICTION;
+        return;
+      }
+
+      if (this.state.phase !== "fight" && this.state.phase !== "intro") {
+        me.vx *= 0.82;
+        return;
+      }
+
+      // Dash in progress
+      if (me.dashT > 0) {
+        me.dashT = Math.max(0, me.dashT - dt);
+        const c = CHAR[me.charId];
+        const dashSpeed = me.dashDir === (them.x > me.x ? 1 : -1) ? c.dash : c.backdash;
+        me.vx = me.dashDir * dashSpeed;
+        me.state = me.dashDir === (them.x > me.x ? 1 : -1) ? "dash" : "backdash";
+        if (me.dashT <= 0) {
+          me.vx *= 0.4;
+          me.dashDir = 0;
+        }
+        return;
+      }
+
+      // Attacking state update
+      if (me.attack) {
+        const a = me.attack;
+        if (a.grab > 0) {
+          me.vx = 0;
+          return;
+        }
+        me.stateT += dt;
+        if (this._cancel(me, input)) return;
+        const m = CHAR[me.charId].moves[a.name];
+        if (m.kind === "throw" && !me.attackHit && !a.whiff && me.stateT >= m.startup + m.active) {
+          a.whiff = true;
+          me.state = "throwWhiff";
+        }
+        const total = m.startup + m.active + m.recovery + (a.whiff ? THROW_WHIFF : 0);
+        if (me.stateT >= total) {
+          me.attack = null;
+          me.attackHit = false;
+          me.state = me.onGround ? "idle" : "jump";
+          me.stateT = 0;
+        } else {
+          // Movement lock during attacks
+          me.vx *= ATTACK_FRICTION;
+        }
+        return;
+      }
+
+      // From here on the fighter is free to act this tick.
+      this._noteActionable(me);
+
+      if (input.parry && me.onGround && me.parryCd <= 0) {
+        me.parryT = PARRY_WINDOW;
+        me.parryCd = PARRY_LOCKOUT;
+      }
+
+      // Start dash (double tap)
+      if (input.dash && me.onGround && !input.block && me.dashCooldown <= 0) {
+        me.dashDir = input.dash;
+        me.dashT = DASH_TIME;
+        me.dashCooldown = DASH_CD;
+        // Backdash gets a tiny invuln window (makes throws less unfair).
+        const away = them.x > me.x ? -1 : 1;
+        if (me.dashDir === away) me.invulnT = Math.max(me.invulnT, 0.09);
+        this._sfx("dash", 1);
+        this._emit({ type: "dash", fighter: me });
+        // Dashes are committed movement; ignore crouch for this frame.
+        me.crouch = false;
+        return;
+      }
+
+      // Crouching block (down + away) makes you "sticky" but safe. A standing block
+      // is just walking away, so it isn't handled here.
+      if (input.block) {
+        me.state = me.onGround ? "crouchBlock" : "jump";
+        me.vx *= 0.78;
+        me.crouch = me.onGround;
+      } else if (me.onGround) {
+        me.crouch = !!input.crouch;
+        me.state = me.crouch ? "crouch" : (Math.abs(input.move) > 0 ? "walk" : "idle");
+      }
+
+      // Jump
+      if (me.buf.jump > 0 && me.onGround && !input.block) {
+        me.buf.jump = 0;
+        me.vy = me.jump;
+        me.onGround = false;
+        me.state = "jump";
+        me.crouch = false;
+        this._sfx("jump", 1);
+      }
+
+      // Horizontal movement
+      const slow = me.crouch ? 0.55 : 1.0;
+      const max = me.speed * slow * (me.onGround ? 1.0 : 0.72);
+      const accel = me.onGround ? 2200 : 1400;
+      const target = input.move * max;
+      me.vx = lerp(me.vx, target, clamp(accel * dt / (max || 1), 0, 1));
+      if (Math.abs(me.vx) < 8 && input.move === 0) me.vx = 0;
+
+      // Attacks
+      if (this.state.phase === "fight") {
+        const next = this._bufferedAttack(me, input);
+        if (next && this._startAttack(me, next[0])) {
+          me.buf[next[1]] = 0;
+          if (next[0] === "throw") me.throwCooldown = THROW_CD;
+        }
+      }
+    }
+
+    // The attack the buffered buttons ask for, as [move, buffer key], or null.
+    _bufferedAttack(me, input) {
+      if (input.block) return null;
+      if (me.buf.throw > 0 && me.throwCooldown <= 0 && me.onGround) return ["throw", "throw"];
+      if (me.buf.punch > 0) {
+        // Toward + Punch on the ground is the standing overhead.
+        return [!me.onGround ? "airPunch" : (input.move === me.facing && !me.crouch ? "overhead" : "punch"), "punch"];
+      }
+      if (me.buf.kick > 0) return [me.onGround ? (me.crouch ? "sweep" : "kick") : "airKick", "kick"];
+      if (me.buf.special > 0) {
+        const name = this._commandSpecial(me);
+        return name && [name, "special"];
+      }
+      return null;
+    }
+
+    // What Special does right now: the super at full meter and the special
+    // otherwise, or with motions, whichever of the two had its motion finished
+    // last, since one motion can hide inside another (a quarter circle after
+    // walking forward reads as a dragon punch too); the super wins a tie. CPU and
+    // dummy fighters always play one-button.
+    _commandSpecial(me) {
+      if (me.simple || me.control === "cpu" || me.control === "dummy") return me.energy >= 100 ? "super" : "special";
+      const moves = CHAR[me.charId].moves;
+      const special = motionEnd(me.dirs, moves.special.motion);
+      const superEnd = me.energy >= 100 ? motionEnd(me.dirs, moves.super.motion) : -1;
+      if (superEnd >= 0 && superEnd >= special) return "super";
+      return special >= 0 ? "special" : null;
+    }
+
+    // Cancels: a normal that hit or got blocked can, within its `cancel` window of
+    // connecting, go straight into the special or super, or into the next move of
+    // one of the character's chains (target combos), skipping the rest of its
+    // recovery.
+    _cancel(me, input) {
+      const a = me.attack;
+      const c = CHAR[me.charId];
+      const m = c.moves[a.name];
+      if (this.state.phase !== "fight" || !m.cancel || a.connectT === null) return false;
+      if (me.stateT - a.connectT > m.cancel) return false;
+      const next = this._bufferedAttack(me, input);
+      if (!next || next[0] === "throw") return false;
+      const special = next[0] === "special" || next[0] === "super";
+      const chain = [...(a.chain || [a.name]), next[0]];
+      if (!special && !c.chains.some((links) => chain.every((name, i) => links[i] === name))) return false;
+
+      me.attack = null;
+      if (!this._startAttack(me, next[0])) {
+        me.attack = a;
+        return false;
+      }
+      me.buf[next[1]] = 0;
+      if (!special) me.attack.chain = chain;
+      this._emit({ type: "cancel", fighter: me, from: a.name, to: next[0] });
+      return true;
+    }
+
+    _startAttack(me, name) {
+      if (me.attack) return false;
+      const mv = CHAR[me.charId].moves[name];
+      if (!mv) return false;
+
+      if (mv.cost > 0 || mv.cooldown > 0) {
+        if (me.energy < mv.cost) return false;
+        if (me.specialCooldown > 0) return false;
+        me.energy -= mv.cost;
+        me.specialCooldown = mv.cooldown;
+      }
+      if (mv.lunge > 0) me.vx = me.facing * mv.lunge;
+      this._sfx(mv.sfx, 1);
+      if (name === "super") this._fx(0.35, 0.12);
+
+      me.attack = { name, connectT: null }; // connectT: stateT when it hit or got blocked
+      me.attackHit = false;
+      me.stateT = 0;
+      me.state = name;
+
+      // In a "real" fighter you'd buffer inputs; this is intentionally arcade simple.
+      if (me.control === "cpu") {
+        // CPU sometimes whiffs on purpose to feel more 90's.
+        if (this.random() < 0.03 && (name === "punch" || name === "kick" || name === "sweep")) me.stateT -= 0.03;
+      }
+      return true;
+    }
+
+    _integrate(f, dt) {
+      if (f.wallT > 0) {
+        f.vx = 0;
+        f.vy = 0;
+        return;
+      }
+
+      // Gravity
+      if (!f.onGround) {
+        f.vy -= GRAV * dt;
+        f.y += f.vy * dt;
+        if (f.y <= 0) {
+          f.y = 0;
+          f.vy = 0;
+          f.onGround = true;
+          if (f.juggle !== null) {
+            f.juggle = null;
+            f.knockdownT = Math.max(f.knockdownT, JUGGLE_KNOCKDOWN);
+          }
+          if (f.airReset) {
+            f.airReset = false;
+            f.airResetT = 0;
+            f.hitstunT = 0;
+          }
+          if (!f.attack) {
+            if (f.knockdownT > 0) f.state = "down";
+            else f.state = f._blockHeld ? "crouchBlock" : "idle";
+          }
+        }
+      }
+
+      f.x += f.vx * dt;
+
+      // Stage bounds
+      const lo = this._wallX(f, -1);
+      const hi = this._wallX(f, 1);
+      if (f.x > lo && f.x < hi) return;
+      f.x = clamp(f.x, lo, hi);
+      const side = f.x <= lo ? -1 : 1;
+      if (f.wallHit && f.vx * side > WALL_CONTACT_SPEED) this._hitWall(f, side);
+    }
+
+    // The x a fighter stops at against the left (-1) or right (1) wall.
+    _wallX(f, side) {
+      const half = f.w * 0.5;
+      return side < 0 ? half + WALL_MARGIN : this.stageW - half - WALL_MARGIN;
+    }
+
+    // A wall move's knockback carried `f` into the wall on `side`.
+    _hitWall(f, side) {
+      const kind = f.wallHit;
+      f.wallHit = null;
+      const wallBreak = this.stage && this.stage.wallBreak;
+      if (wallBreak && !this.arena.area && ++this.arena.wallHits >= wallBreak.hits) {
+        this._breakWall(f, side);
+        return;
+      }
+
+      if (kind === "splat") {
+        f.wallT = WALL_SPLAT_TIME;
+        f.vx = 0;
+        f.vy = 0;
+        f.hitstunT = Math.max(f.hitstunT, WALL_SPLAT_STUN);
+      } else {
+        f.vx = -side * WALL_BOUNCE_VX;
+        f.vy = WALL_BOUNCE_VY;
+        f.onGround = false;
+        if (f.juggle === null) f.juggle = JUGGLE_POINTS;
+        f.hitstunT = Math.max(f.hitstunT, WALL_BOUNCE_STUN);
+      }
+      this._fx(0.6, 0.06);
+      this._sfx("hit", 1.2);
+      this._emit({ type: "wall", fighter: f, kind, side });
+    }
+
+    // The last hit a breakable wall could take: `f` goes through it into the
+    // stage's second area, entering from the opposite edge, and the round goes on there.
+    _breakWall(f, side) {
+      const other = f === this.f1 ? this.f2 : this.f1;
+      this.arena.area = 1;
+      this.projectiles = [];
+      f.x = side > 0 ? this._wallX(f, -1) + 240 : this._wallX(f, 1) - 240;
+      other.x = clamp(f.x - side * 170, this._wallX(other, -1), this._wallX(other, 1));
+      f.vx = side * 240;
+      f.vy = 360;
+      f.onGround = false;
+      f.knockdownT = Math.max(f.knockdownT, 0.9);
+      f.hitstunT = Math.max(f.hitstunT, 0.5);
+      this.hitstopT = Math.max(this.hitstopT, 0.25);
+      this._fx(1.0, 0.2);
+      this._sfx("super", 1);
+      this._emit({ type: "wallBreak", fighter: f, side });
+    }
+
+    _separateFighters(a, b) {
+      const min = (a.w + b.w) * 0.5 + 8;
+      const dx = b.x - a.x;
+      const dist = Math.abs(dx);
+      if (dist < min && dist > 0.0001) {
+        const push = (min - dist) * 0.5;
+        const dir = dx > 0 ? 1 : -1;
+        a.x = clamp(a.x - push * dir, this._wallX(a, -1), this._wallX(a, 1));
+        b.x = clamp(b.x + push * dir, this._wallX(b, -1), this._wallX(b, 1));
+        // Against a wall the cornered one can't give way, so the other takes all of it.
+        const left = min - Math.abs(b.x - a.x);
+        if (left > 0.0001) {
+          if (a.x === this._wallX(a, -dir)) b.x = clamp(b.x + left * dir, this._wallX(b, -1), this._wallX(b, 1));
+          else a.x = clamp(a.x - left * dir, this._wallX(a, -1), this._wallX(a, 1));
+        }
+      }
+    }
+
+    // Counts an unblocked hit into the attacker's combo, or starts a new one if the
+    // defender had already recovered, and returns its damage after combo scaling.
+    _comboHit(attacker, defender, dmg) {
+      if (attacker.comboHits > 0 && isStunned(defender)) {
+        const scale = Math.max(COMBO_SCALE_MIN, 1 - COMBO_SCALE_STEP * attacker.comboHits);
+        dmg = Math.max(1, Math.round(dmg * scale));
+        attacker.comboHits += 1;
+        attacker.comboDamage += dmg;
+        attacker.comboDropped = 0;
+      } else {
+        attacker.comboDropped = attacker.comboHits > 0 && defender.freeT < DROP_WINDOW ? attacker.comboHits : 0;
+        attacker.comboHits = 1;
+        attacker.comboDamage = dmg;
+      }
+      attacker.comboT = COMBO_SHOW;
+      return dmg;
+    }
+
+    // How a hit from `mv` lands on `defender`: "ground", "launch", "juggle" or
+    // "reset" (see JUGGLE_POINTS), or null if it can't touch them at all.
+    _airHit(defender, mv) {
+      if (defender.airReset) return null;
+      if (defender.juggle !== null) {
+        if (defender.juggle < mv.juggle) return null;
+        return mv.launch > 0 ? "launch" : "juggle";
+      }
+      if (mv.launch > 0) return "launch";
+      return !defender.onGround && defender.y > AIR_HIT_HEIGHT ? "reset" : "ground";
+    }
+
+    // The part of a hit that depends on `air` (from _airHit), after the usual
+    // knockback and hitstun.
+    _airHitReaction(defender, mv, air) {
+      if (air === "launch") {
+        defender.juggle = defender.juggle === null ? JUGGLE_POINTS : defender.juggle - mv.juggle;
+        defender.vx *= LAUNCH_CARRY;
+        defender.vy = mv.launch;
+        defender.onGround = false;
+      } else if (air === "juggle") {
+        defender.juggle -= mv.juggle;
+        defender.vy = Math.max(defender.vy, JUGGLE_POP);
+      } else if (air === "reset") {
+        defender.airReset = true;
+        defender.airResetT = 0;
+        defender.knockdownT = 0;
+        defender.vy = AIR_RESET_VY;
+        this._emit({ type: "airReset", fighter: defender });
+      }
+    }
+
+    // Knockback the wall soaks up comes back to the attacker as pushback: whatever
+    // part of the defender's slide is left once they reach the wall.
+    _cornerPushback(attacker, defender, dir) {
+      const friction = defender.knockdownT > 0 ? KNOCKDOWN_FRICTION : HITSTUN_FRICTION;
+      const room = Math.abs(this._wallX(defender, dir) - defender.x);
+      const excess = slideDistance(defender.vx, friction) - room;
+      if (excess > 0) attacker.vx = -dir * slideSpeed(excess, ATTACK_FRICTION);
+    }
+
+    _resolveAttacks(attacker, defender) {
+      if (!attacker.attack) return;
+      const a = attacker.attack;
+      const m = CHAR[attacker.charId].moves[a.name];
+      if (!m) return;
+      const t = attacker.stateT;
+      const inActive = t >= m.startup && t < (m.startup + m.active);
+      if (!inActive) return;
+      if (attacker.attackHit) return;
+      if (defender.invulnT > 0 || defender.hp <= 0) return;
+
+      if (m.kind === "projectile") {
+        // Spawn once at active start
+        attacker.attackHit = true;
+        this._spawnProjectile(attacker, a.name);
+        return;
+      }
+
+      if (m.kind === "throw") {
+        // Throws only work on grounded, non-stunned opponents (no-block).
+        if (!attacker.onGround || !defender.onGround) return;
+        if (defender.hitstunT > 0 || defender.blockstunT > 0 || defender.knockdownT > 0) return;
+        if (Math.abs(defender.x - attacker.x) > 70) return;
+      }
+
+      if (!this._airHit(defender, m)) return;
+      if (m.height === "high" && defender.crouch && defender.onGround) return; // goes over their head
+
+      const hitbox = attackHitboxWorld(attacker, a.name);
+      if (!hitbox) return;
+      const hurt = fighterHurtboxWorld(defender);
+
+      // Convert to same coordinate space. In world: x is x, y is negative-down.
+      if (rectsOverlap(hitbox, hurt)) {
+        attacker.attackHit = true;
+        if (m.kind === "throw") this._grab(attacker, defender);
+        else this._applyHit(attacker, defender, a.name);
+      }
+    }
+
+    // A throw connected: hold the defender for the tech window. Two throws meeting
+    // tech each other on the spot.
+    _grab(attacker, defender) {
+      const theirs = defender.attack && CHAR[defender.charId].moves[defender.attack.name];
+      if (theirs && theirs.kind === "throw" && !defender.attackHit) {
+        this._tech(attacker, defender);
+        return;
+      }
+      attacker.attack.grab = TECH_WINDOW;
+      attacker.vx = 0;
+      defender.attack = null;
+      defender.vx = 0;
+      defender.state = "grabbed";
+      this._emit({ type: "grab", attacker, defender });
+    }
+
+    // Runs a held grab down: a Throw press from the defender techs it, otherwise
+    // the throw lands once the window closes.
+    _resolveGrab(attacker, defender, dt) {
+      const a = attacker.attack;
+      if (!a || !(a.grab > 0)) return;
+      if (defender.buf.throw > 0) {
+        this._tech(attacker, defender);
+        return;
+      }
+      a.grab = Math.max(0, a.grab - dt);
+      if (a.grab <= 0) this._applyHit(attacker, defender, a.name);
+    }
+
+    // A teched throw: no damage, and both fighters slide apart back to neutral.
+    _tech(attacker, defender) {
+      const dir = defender.x > attacker.x ? 1 : -1;
+      for (const f of [attacker, defender]) {
+        f.attack = null;
+        f.attackHit = false;
+        f.state = "idle";
+        f.stateT = 0;
+        f.buf.throw = 0;
+      }
+      attacker.vx = -dir * TECH_PUSH;
+      defender.vx = dir * TECH_PUSH;
+
+      this._fx(0.3, 0.05);
+      this.hitstopT = Math.max(this.hitstopT, TECH_HITSTOP);
+      this._emit({ type: "tech", attacker, defender });
+      this._sfx("block", 1.2);
+    }
+
+    _applyHit(attacker, defender, moveName) {
+      const mv = CHAR[attacker.charId].moves[moveName];
+      const baseDmg = mv.dmg;
+      const baseKb = mv.kb;
+
+      const isThrow = mv.kind === "throw";
+      if (!isThrow && this._parry(attacker, defender, moveName)) return;
+      if (attacker.attack) attacker.attack.connectT = attacker.stateT;
+      const guard = isThrow ? null : guardOf(defender, attacker);
+      const blocked = !!guard && GUARD_STOPS[guard].includes(mv.height);
+      const air = blocked ? "ground" : this._airHit(defender, mv);
+      const dmg = blocked ? mv.chip : this._comboHit(attacker, defender, baseDmg);
+      const kb = blocked ? baseKb * BLOCK_PUSHBACK : baseKb;
+
+      defender.hp = Math.max(0, defender.hp - dmg);
+      attacker.energy = clamp(attacker.energy + (blocked ? 4 : 8), 0, 100);
+      defender.energy = clamp(defender.energy + (blocked ? 6 : 12), 0, 100);
+
+      const dir = attacker.x > defender.x ? -1 : 1;
+      defender.vx = dir * kb;
+      if (isThrow) {
+        defender.vy = 260;
+        defender.onGround = false;
+      } else if (!blocked) {
+        defender.vy = defender.onGround ? 175 : defender.vy;
+        defender.onGround = false;
+      }
+
+      defender.hitstunT = blocked ? 0 : mv.hitstun;
+      defender.blockstunT = blocked ? mv.blockstun : 0;
+      this._hitGuard(defender, blocked, mv.guardDmg);
+      defender.invulnT = blocked ? 0.05 : 0.09;
+      defender.wallT = 0;
+      if (!blocked && mv.wall) defender.wallHit = mv.wall;
+
+      if (!blocked && mv.knockdown > 0) defender.knockdownT = Math.max(defender.knockdownT, mv.knockdown);
+      this._airHitReaction(defender, mv, air);
+      if (mv.kind === "melee") this._cornerPushback(attacker, defender, dir);
+
+      this._fx(blocked ? 0.22 : (isThrow ? 0.85 : 0.55), blocked ? 0.03 : (isThrow ? 0.10 : 0.07));
+      this.hitstopT = Math.max(this.hitstopT, blocked ? mv.hitstop * 0.6 : mv.hitstop);
+      if (blocked) attacker.comboHits = 0;
+      // `beat`: the height that got past a guard that was up, for the hit effect.
+      const beat = guard && !blocked ? mv.height : null;
+      this._emit({ type: "hit", attacker, defender, blocked, beat, move: moveName, damage: dmg });
+      this._watchAdvantage(attacker, defender, blocked, moveName);
+
+      this._sfx(blocked ? "block" : "hit", blocked ? 0.8 : 1.0);
+    }
+
+    // A hit landing inside the defender's parry window: no damage or stun, the
+    // attacker's move (if it's still out) recovers PARRY_STAGGER later, and the
+    // defender is free to act straight away. A landed parry can chain into another.
+    _parry(attacker, defender, moveName) {
+      if (defender.parryT <= 0 || !defender.onGround || defender.attack || isStunned(defender)) return false;
+      defender.parryT = 0;
+      defender.parryCd = 0;
+      defender.vx = 0;
+      defender.energy = clamp(defender.energy + 6, 0, 100);
+      if (attacker.attack && attacker.attack.name === moveName) attacker.stateT -= PARRY_STAGGER;
+      attacker.comboHits = 0;
+
+      this._fx(0.25, 0.14);
+      this.hitstopT = Math.max(this.hitstopT, PARRY_HITSTOP);
+      this._emit({ type: "parry", attacker, defender, move: moveName });
+      this._watchAdvantage(attacker, defender, false, moveName, true);
+      this._sfx("parry", 1);
+      return true;
+    }
+
+    _spawnProjectile(owner, kind) {
+      const mv = CHAR[owner.charId].moves[kind];
+      if (!mv || mv.kind !== "projectile") return;
+      const pr = mv.proj;
+      const dir = owner.facing;
+      const x = owner.x + dir * (owner.w * 0.7 + 16);
+      const y = owner.y + fighterHeightNow(owner) * 0.56;
+      const p = {
+        owner: owner === this.f1 ? 0 : 1, // fighter index, so projectiles stay plain data
+        kind,
+        x,
+        y,
+        vx: dir * pr.speed,
+        life: pr.life,
+        w: pr.w,
+        h: pr.h,
+        hit: false,
+      };
+      this.projectiles.push(p);
+      this._emit({ type: "projectile", projectile: p });
+    }
+
+    fighter(index) {
+      return index === 0 ? this.f1 : this.f2;
+    }
+
+    // Snapshot of everything step() reads or writes, as a JSON string. Cheap enough
+    // to take every tick, which is what rollback netplay does.
+    save() {
+      return JSON.stringify({
+        frame: this.frame,
+        rngState: this.rngState,
+        frozen: this.frozen,
+        state: this.state,
+        match: this.match,
+        f1: this.f1,
+        f2: this.f2,
+        projectiles: this.projectiles,
+        arena: this.arena,
+        hitstopT: this.hitstopT,
+        refillT: this.refillT,
+        advWatch: this.advWatch,
+      });
+    }
+
+    load(snapshot) {
+      const s = JSON.parse(snapshot);
+      this.frame = s.frame;
+      this.time = s.frame * TICK;
+      this.rngState = s.rngState;
+      this.frozen = s.frozen;
+      this.state = s.state;
+      this.match = s.match;
+      this.f1 = s.f1;
+      this.f2 = s.f2;
+      this.projectiles = s.projectiles;
+      this.arena = s.arena;
+      this.hitstopT = s.hitstopT;
+      this.refillT = s.refillT;
+      this.advWatch = s.advWatch;
+      this.events = [];
+    }
+
+    checksum() {
+      return stateChecksum(this.save());
+    }
+
+    _updateProjectiles(dt) {
+      if (!this.projectiles.length) return;
+      for (const p of this.projectiles) {
+        p.life -= dt;
+        p.x += p.vx * dt;
+
+        // A little bob for drama.
+        p.y += Math.sin((1.2 - p.life) * 18) * 0.3;
+
+        const owner = this.fighter(p.owner);
+        const target = this.fighter(1 - p.owner);
+        if (!p.hit && target.hp > 0 && target.invulnT <= 0 && this._airHit(target, CHAR[owner.charId].moves[p.kind])) {
+          const hb = fighterHurtboxWorld(target);
+          if (rectsOverlap(projectileBoxWorld(p), hb)) {
+            p.hit = true;
+            p.life = 0;
+            this._applyProjectileHit(owner, target, p.kind);
+          }
+        }
+      }
+      this.projectiles = this.projectiles.filter((p) => p.life > 0);
+    }
+
+    _applyProjectileHit(attacker, defender, kind) {
+      const mv = CHAR[attacker.charId].moves[kind];
+      const dmg = mv.dmg;
+      const kb = mv.kb;
+
+      if (this._parry(attacker, defender, kind)) return;
+      const guard = guardOf(defender, attacker);
+      const blocked = !!guard && GUARD_STOPS[guard].includes(mv.height);
+      const air = blocked ? "ground" : this._airHit(defender, mv);
+      const finalDmg = blocked ? mv.chip : this._comboHit(attacker, defender, dmg);
+      const finalKb = blocked ? kb * BLOCK_PUSHBACK : kb;
+
+      defender.hp = Math.max(0, defender.hp - finalDmg);
+      attacker.energy = clamp(attacker.energy + (blocked ? 5 : 9), 0, 100);
+      defender.energy = clamp(defender.energy + (blocked ? 5 : 10), 0, 100);
+
+      const dir = attacker.x > defender.x ? -1 : 1;
+      defender.vx = dir * finalKb;
+      if (!blocked) {
+        defender.vy = defender.onGround ? 210 : defender.vy;
+        defender.onGround = false;
+      }
+      defender.hitstunT = blocked ? 0 : mv.hitstun;
+      defender.blockstunT = blocked ? mv.blockstun : 0;
+      this._hitGuard(defender, blocked, mv.guardDmg);
+      defender.invulnT = blocked ? 0.06 : 0.10;
+      defender.wallT = 0;
+      if (!blocked && mv.wall) defender.wallHit = mv.wall;
+
+      if (!blocked && mv.knockdown > 0) defender.knockdownT = Math.max(defender.knockdownT, mv.knockdown);
+      this._airHitReaction(defender, mv, air);
+
+      this._fx(blocked ? 0.30 : (kind === "super" ? 1.0 : 0.70), blocked ? 0.04 : (kind === "super" ? 0.14 : 0.08));
+      this.hitstopT = Math.max(this.hitstopT, blocked ? PROJ_BLOCK_HITSTOP : mv.hitstop);
+      if (blocked) attacker.comboHits = 0;
+      const beat = guard && !blocked ? mv.height : null;
+      this._emit({ type: "hit", attacker, defender, blocked, beat, move: kind, damage: finalDmg });
+      this._watchAdvantage(attacker, defender, blocked, kind);
+      this._sfx(blocked ? "block" : "hit", blocked ? 0.9 : 1.0);
+    }
+
+    // A blocked hit wears the defender's guard meter down, and the one that empties
+    // it crushes their guard; a clean hit on a crushed guard ends the crush.
+    _hitGuard(defender, blocked, guardDmg) {
+      if (!blocked) {
+        if (defender.crushT > 0) {
+          defender.crushT = 0;
+          defender.guardMeter = GUARD_MAX;
+        }
+        return;
+      }
+      defender.guardMeter = Math.max(0, defender.guardMeter - guardDmg);
+      if (defender.guardMeter > 0) return;
+      defender.blockstunT = 0;
+      defender.crushT = GUARD_CRUSH;
+      this.hitstopT = Math.max(this.hitstopT, GUARD_CRUSH_HITSTOP);
+      this._emit({ type: "guardCrush", fighter: defender });
+      this._sfx("crush", 1);
+    }
+
+    // Frame advantage: after each hit or block, note the first tick on which each
+    // fighter can act again; the difference is the attacker's advantage. A follow-up
+    // hit before both are free restarts the count (so strings report their last hit).
+    _watchAdvantage(attacker, defender, blocked, move, parried = false) {
+      this.advWatch = {
+        attacker: attacker === this.f1 ? 0 : 1,
+        blocked,
+        parried,
+        move,
+        ready: [null, null], // [attacker, defender]
+      };
+    }
+
+    _noteActionable(me) {
+      const w = this.advWatch;
+      if (!w) return;
+      const slot = (me === this.f1 ? 0 : 1) === w.attacker ? 0 : 1;
+      if (w.ready[slot] === null) w.ready[slot] = this.frame;
+      if (w.ready[0] === null || w.ready[1] === null) return;
+      this.advWatch = null;
+      this._emit({
+        type: "advantage",
+        attacker: this.fighter(w.attacker),
+        defender: this.fighter(1 - w.attacker),
+        blocked: w.blocked,
+        parried: w.parried,
+        move: w.move,
+        frames: w.ready[1] - w.ready[0],
+      });
+    }
+
+    // Training: a RESET press from a player puts both fighters back at the center,
+    // or pins the dummy in the corner the player is holding toward.
+    _checkTrainingReset(inputs) {
+      for (let i = 0; i < 2; i++) {
+        const me = this.fighter(i);
+        const mask = inputs[i] | 0;
+        if (me.control === "cpu" || me.control === "dummy") continue;
+        if (!(mask & BTN.RESET) || (me.prevMask & BTN.RESET)) continue;
+
+        const dummy = this.fighter(1 - i);
+        this.arena = { area: 0, wallHits: 0 };
+        const edge = me.w * 0.5 + WALL_MARGIN;
+        let meX;
+        let dummyX;
+        if (mask & BTN.LEFT) {
+          dummyX = edge;
+          meX = edge + TRAINING_RESET_GAP;
+        } else if (mask & BTN.RIGHT) {
+          dummyX = this.stageW - edge;
+          meX = dummyX - TRAINING_RESET_GAP;
+        } else {
+          const side = i === 0 ? -1 : 1;
+          meX = this.stageW / 2 + side * TRAINING_RESET_GAP / 2;
+          dummyX = this.stageW / 2 - side * TRAINING_RESET_GAP / 2;
+        }
+
+        for (const [f, x] of [[me, meX], [dummy, dummyX]]) {
+          const energy = f.energy;
+          this._resetFighter(f, x);
+          f.energy = this.training.refillMeter ? f.energyMax : energy;
+          f.state = "idle";
+          f.stateT = 0;
+          f.ai.guardT = 0;
+        }
+        this.projectiles = [];
+        this.hitstopT = 0;
+        this.refillT = [0, 0];
+        this.advWatch = null;
+        this._emit({ type: "roundReset" });
+        this._sfx("dash", 1);
+        return;
+      }
+    }
+
+    _tickTraining(dt) {
+      for (let i = 0; i < 2; i++) {
+        const f = this.fighter(i);
+        // Nobody gets KO'd in training.
+        if (f.hp <= 0) f.hp = 1;
+        const busy = f.attack || f.hitstunT > 0 || f.blockstunT > 0 || f.crushT > 0 || f.knockdownT > 0;
+        this.refillT[i] = busy ? 0 : this.refillT[i] + dt;
+        if (this.refillT[i] < TRAINING_REFILL_DELAY) continue;
+        if (this.training.refillHp) f.hp = 100;
+        if (this.training.refillMeter) f.energy = f.energyMax;
+      }
+    }
+
+    _tickHpBack(f, dt) {
+      if (f.hpBack > f.hp) f.hpBack = Math.max(f.hp, f.hpBack - dt * 55);
+      else f.hpBack = f.hp;
+    }
+  }
+
+  const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  const isColor = (v) => typeof v === "string" && /^#[0-9a-f]{6}$/i.test(v);
+
+  // "#rrggbb" turned `deg` degrees around the color wheel (same saturation and
+  // lightness): the stand-in alternate palette for characters that don't ship one.
+  function rotateHue(hex, deg) {
+    const rgb = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const max = Math.max(...rgb);
+    const min = Math.min(...rgb);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (d === 0) return hex;
+    const s = d / (1 - Math.abs(2 * l - 1));
+    const [r, g, b] = rgb;
+    let h = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+    h = (((h * 60 + deg) % 360) + 360) % 360;
+
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+    const m = l - c / 2;
+    const sector = Math.floor(h / 60);
+    const out = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][sector];
+    return "#" + out.map((v) => Math.round((v + m) * 255).toString(16).padStart(2, "0")).join("");
+  }
+
+  // Checks one character file and returns it in the shape the sim uses (move stats
+  // and frame data together, under `moves`). Throws an Error listing every problem,
+  // each with its path in the file, e.g. "dev.json: moves.kick.startup is missing".
+  function validateCharacter(data, source = "character") {
+    if (!isObject(data)) throw new Error(`${source}: expected a JSON object`);
+    const problems = [];
+    const section = (obj, key, path) => {
+      if (isObject(obj[key])) return obj[key];
+      problems.push(`${path} ${obj[key] === undefined ? "is missing" : "must be an object"}`);
+      return {};
+    };
+    // A number >= min (> min when `positive`), or a problem logged and 0 returned.
+    const num = (obj, key, path, { min = 0, positive = false } = {}) => {
+      const v = obj[key];
+      if (typeof v === "number" && Number.isFinite(v) && (positive ? v > min : v >= min)) return v;
+      problems.push(`${path}.${key} ${v === undefined ? "is missing" : `must be a number ${positive ? ">" : ">="} ${min}`}`);
+      return 0;
+    };
+
+    if (typeof data.id !== "string" || !/^[a-z][a-z0-9_-]*$/.test(data.id)) problems.push('id must be a lowercase name like "rohan"');
+    if (typeof data.name !== "string" || !data.name.trim()) problems.push("name must be a non-empty string");
+    for (const key of ["tagline", "description", "sprites"]) {
+      if (data[key] !== undefined && typeof data[key] !== "string") problems.push(`${key} must be a string`);
+    }
+
+    const colors = section(data, "colors", "colors");
+    for (const key of ["primary", "accent"]) {
+      if (!isColor(colors[key])) problems.push(`colors.${key} must be a #rrggbb color`);
+    }
+    const alts = colors.alts === undefined ? [] : colors.alts;
+    if (!Array.isArray(alts)) problems.push("colors.alts must be a list of { primary, accent }");
+    else {
+      alts.forEach((alt, i) => {
+        if (!isObject(alt) || !isColor(alt.primary) || !isColor(alt.accent)) {
+          problems.push(`colors.alts[${i}] must have #rrggbb primary and accent colors`);
+        }
+      });
+    }
+
+    const stats = section(data, "stats", "stats");
+    const [speed, jump, dash, backdash] = ["speed", "jump", "dash", "backdash"].map((k) => num(stats, k, "stats", { positive: true }));
+
+    const rawMoves = section(data, "moves", "moves");
+    for (const name of Object.keys(rawMoves)) {
+      if (!MOVE_NAMES.includes(name)) problems.push(`moves.${name} is not a move (expected ${MOVE_NAMES.join(", ")})`);
+    }
+    const moves = {};
+    for (const name of MOVE_NAMES) {
+      const path = `moves.${name}`;
+      if (!isObject(rawMoves[name])) {
+        problems.push(`${path} ${rawMoves[name] === undefined ? "is missing" : "must be an object"}`);
+        continue;
+      }
+      const m = rawMoves[name];
+      if (!MOVE_KINDS.includes(m.kind)) {
+        problems.push(`${path}.kind must be one of ${MOVE_KINDS.join(", ")}`);
+        continue;
+      }
+      const mv = {
+        kind: m.kind,
+        startup: num(m, "startup", path),
+        active: num(m, "active", path, { positive: true }),
+        recovery: num(m, "recovery", path),
+        hitstun: num(m, "hitstun", path, { positive: true }),
+        // How long a blocked hit holds the defender; throws can't be blocked.
+        blockstun: m.kind === "throw" ? null : num(m, "blockstun", path, { positive: true }),
+        hitstop: num(m, "hitstop", path),
+        dmg: num(m, "damage", path),
+        // On block: the damage that still goes through and what it takes off the guard meter.
+        chip: m.kind === "throw" ? 0 : num(m, "chip", path),
+        guardDmg: m.kind === "throw" ? 0 : num(m, "guardDamage", path),
+        kb: num(m, "knockback", path),
+        knockdown: m.knockdown === undefined ? 0 : num(m, "knockdown", path),
+        lunge: m.lunge === undefined ? 0 : num(m, "lunge", path),
+        // Meter cost and a shared special cooldown: required on projectiles, optional elsewhere.
+        cost: m.cost === undefined && m.kind !== "projectile" ? 0 : num(m, "cost", path),
+        cooldown: m.cooldown === undefined && m.kind !== "projectile" ? 0 : num(m, "cooldown", path),
+        sfx: m.sfx,
+        wall: m.wall || null,
+        // Juggles: points this hit spends keeping someone in the air, and the upward
+        // speed (px/s) a launcher sends them off at.
+        juggle: m.juggle === undefined ? 1 : num(m, "juggle", path),
+        launch: m.launch === undefined ? 0 : num(m, "launch", path),
+        // Seconds after connecting in which it cancels (see Sim._cancel); normals only.
+        cancel: m.cancel === undefined ? 0 : num(m, "cancel", path),
+        // The command that brings it out (see readMotion); special and super only.
+        motion: name in DEFAULT_MOTIONS ? (m.motion === undefined ? DEFAULT_MOTIONS[name] : m.motion) : null,
+        // Which guard stops it (see HEIGHTS); throws can't be blocked at all.
+        height: m.kind === "throw" ? null : (m.height === undefined ? DEFAULT_HEIGHTS[name] || "mid" : m.height),
+      };
+      if (m.height !== undefined && !HEIGHTS.includes(m.height)) problems.push(`${path}.height must be one of ${HEIGHTS.join(", ")}`);
+      if (m.motion !== undefined && !(name in DEFAULT_MOTIONS)) problems.push(`${path}.motion only works on ${Object.keys(DEFAULT_MOTIONS).join(" and ")}`);
+      else if (m.motion !== undefined && !MOTIONS.includes(m.motion)) problems.push(`${path}.motion must be one of ${MOTIONS.join(", ")}`);
+      if (m.cancel !== undefined && !NORMAL_MOVES.includes(name)) problems.push(`${path}.cancel only works on normals (${NORMAL_MOVES.join(", ")})`);
+      if (m.wall !== undefined && !WALL_KINDS.includes(m.wall)) problems.push(`${path}.wall must be one of ${WALL_KINDS.join(", ")}`);
+      if (!SFX_NAMES.includes(m.sfx)) problems.push(`${path}.sfx must be one of ${SFX_NAMES.join(", ")}`);
+
+      if (m.kind === "projectile") {
+        const pr = section(m, "projectile", `${path}.projectile`);
+        const [prSpeed, life, w, h] = ["speed", "life", "w", "h"].map((k) => num(pr, k, `${path}.projectile`, { positive: true }));
+        mv.proj = { speed: prSpeed, life, w, h };
+      } else {
+        const hb = section(m, "hitbox", `${path}.hitbox`);
+        mv.range = num(hb, "range", `${path}.hitbox`, { positive: true });
+        mv.h = num(hb, "height", `${path}.hitbox`, { positive: true });
+        mv.yOff = num(hb, "yOffset", `${path}.hitbox`, { min: -Infinity });
+      }
+      moves[name] = mv;
+    }
+
+    // Target combos: each chain lists normals that cancel into one another in order.
+    const chains = data.chains === undefined ? [] : data.chains;
+    if (!Array.isArray(chains)) problems.push("chains must be a list of move lists");
+    else {
+      chains.forEach((links, i) => {
+        if (!Array.isArray(links) || links.length < 2 || !links.every((name) => NORMAL_MOVES.includes(name))) {
+          problems.push(`chains[${i}] must list two or more of ${NORMAL_MOVES.join(", ")}`);
+          return;
+        }
+        links.slice(0, -1).forEach((name, j) => {
+          if (moves[name] && !moves[name].cancel) problems.push(`chains[${i}][${j}]: moves.${name} needs a cancel window to chain from`);
+        });
+      });
+    }
+
+    if (problems.length) throw new Error(`${source}: ${problems.join("; ")}`);
+    // Palette 0 is the main look; mirror matches use 1 (derived if there are no alts).
+    const palettes = [[colors.primary, colors.accent], ...alts.map((alt) => [alt.primary, alt.accent])];
+    if (palettes.length === 1) palettes.push([rotateHue(colors.primary, 180), rotateHue(colors.accent, 180)]);
+    return {
+      id: data.id,
+      name: data.name,
+      ui: data.name,
+      tagline: data.tagline || "",
+      description: data.description || "",
+      sprites: data.sprites || null, // atlas file, drawn by game.js (see sprites.js)
+      c1: colors.primary,
+      c2: colors.accent,
+      palettes,
+      speed,
+      jump,
+      dash,
+      backdash,
+      moves,
+      chains: Array.isArray(chains) ? chains : [],
+    };
+  }
+
+  const isStageColor = (v) => typeof v === "string" && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(v);
+  const isNote = (v) => v === 0 || (typeof v === "string" && /^[A-G](#|b)?\d$/.test(v));
+
+  // Checks one stage file and returns it as { id, name, width, floorY, spawn,
+  // palette, layers, props, music, wallBreak }. Throws like validateCharacter, e.g.
+  // "dojo.json: layers[1].scroll is missing".
+  function validateStage(data, source = "stage") {
+    if (!isObject(data)) throw new Error(`${source}: expected a JSON object`);
+    const problems = [];
+    const num = (v, path, lo = -Infinity, hi = Infinity) => {
+      if (typeof v === "number" && Number.isFinite(v) && v >= lo && v <= hi) return true;
+      const range = lo > -Infinity ? ` between ${lo} and ${hi}` : "";
+      problems.push(`${path} ${v === undefined ? "is missing" : `must be a number${range}`}`);
+      return false;
+    };
+    const colors = (list, n, path) => {
+      if (!Array.isArray(list) || list.length !== n || !list.every(isStageColor)) problems.push(`${path} must be a list of ${n} colors`);
+    };
+
+    if (typeof data.id !== "string" || !/^[a-z][a-z0-9_-]*$/.test(data.id)) problems.push('id must be a lowercase name like "city"');
+    if (typeof data.name !== "string" || !data.name.trim()) problems.push("name must be a non-empty string");
+    const width = num(data.width, "width", 640, 4000) ? data.width : 0;
+    num(data.floorY, "floorY", 180, 250);
+    const spawn = data.spawn === undefined ? [width / 2 - 230, width / 2 + 230] : data.spawn;
+    if (!Array.isArray(spawn) || spawn.length !== 2 || !(spawn[0] >= 50 && spawn[0] < spawn[1] && spawn[1] <= width - 50)) {
+      problems.push("spawn must be [left, right] x positions at least 50 px inside the stage");
+    }
+
+    const palette = isObject(data.palette) ? data.palette : {};
+    if (!isObject(data.palette)) problems.push(`palette ${data.palette === undefined ? "is missing" : "must be an object"}`);
+    colors(palette.sky, 3, "palette.sky");
+    colors(palette.ground, 2, "palette.ground");
+    colors(palette.glow, 3, "palette.glow");
+    for (const key of ["grid", "haze"]) {
+      if (!isStageColor(palette[key])) problems.push(`palette.${key} must be a color`);
+    }
+
+    // Layers and props: a known `kind`, a `scroll` factor, and that kind's fields.
+    const art = (key, kinds) => {
+      const list = data[key] === undefined ? [] : data[key];
+      if (!Array.isArray(list)) {
+        problems.push(`${key} must be a list`);
+        return [];
+      }
+      list.forEach((item, i) => {
+        const path = `${key}[${i}]`;
+        if (!isObject(item) || !kinds[item.kind]) {
+          problems.push(`${path}.kind must be one of ${Object.keys(kinds).join(", ")}`);
+          return;
+        }
+        num(item.scroll, `${path}.scroll`, 0, 2);
+        for (const [field, type] of Object.entries(kinds[item.kind])) {
+          const v = item[field];
+          if (type === "num") num(v, `${path}.${field}`);
+          else if (type === "color" && !isStageColor(v)) problems.push(`${path}.${field} must be a color`);
+          else if (type === "text" && typeof v !== "string") problems.push(`${path}.${field} must be a string`);
+        }
+      });
+      return list.map((item) => ({ ...item }));
+    };
+    const layers = art("layers", LAYER_KINDS);
+    const props = art("props", PROP_KINDS);
+
+    const music = isObject(data.music) ? data.music : {};
+    if (!isObject(data.music)) problems.push(`music ${data.music === undefined ? "is missing" : "must be an object"}`);
+    num(music.tempo, "music.tempo", 60, 240);
+    num(music.swing, "music.swing", 0, 0.4);
+    for (const part of ["bass", "lead"]) {
+      const notes = music[part];
+      if (!Array.isArray(notes) || notes.length !== MUSIC_STEPS || !notes.every(isNote)) {
+        problems.push(`music.${part} must be ${MUSIC_STEPS} steps, each a note like "E2" or 0 for a rest`);
+      }
+    }
+
+    // Optional breakable walls: the `hits`-th wall bounce or splat breaks through
+    // into `area`, the stage's second section (its own width and art; the floor
+    // line and music carry over unless it sets its own).
+    let wallBreak = null;
+    if (data.wallBreak !== undefined) {
+      const wb = isObject(data.wallBreak) ? data.wallBreak : {};
+      if (!isObject(data.wallBreak)) problems.push("wallBreak must be an object");
+      if (!Number.isInteger(wb.hits) || wb.hits < 1 || wb.hits > 9) problems.push("wallBreak.hits must be a whole number between 1 and 9");
+      if (!isObject(wb.area)) problems.push(`wallBreak.area ${wb.area === undefined ? "is missing" : "must be an object"}`);
+      else if (wb.area.wallBreak !== undefined) problems.push("wallBreak.area can't break into another area");
+      else {
+        try {
+          const area = validateStage({ id: data.id, name: data.name, floorY: data.floorY, music: data.music, ...wb.area }, "wallBreak.area");
+          wallBreak = { hits: wb.hits, area };
+        } catch (e) {
+          problems.push(e.message);
+        }
+      }
+    }
+
+    if (problems.length) throw new Error(`${source}: ${problems.join("; ")}`);
+    return {
+      id: data.id,
+      name: data.name,
+      width,
+      floorY: data.floorY,
+      spawn: spawn.slice(),
+      palette: {
+        sky: palette.sky.slice(),
+        ground: palette.ground.slice(),
+        glow: palette.glow.slice(),
+        grid: palette.grid,
+        haze: palette.haze,
+      },
+      layers,
+      props,
+      music: { tempo: music.tempo, swing: music.swing, bass: music.bass.slice(), lead: music.lead.slice() },
+      wallBreak,
+    };
+  }
+
+  // Shared by loadCharacters / loadStages: index.json lists the ids under `listKey`,
+  // each one lives in <id>.json. `readJson(name)` fetches a file from that folder
+  // (fetch() in the browser, fs in Node). Nothing is registered unless every file
+  // is valid; otherwise this rejects with one line per bad file.
+  async function loadFolder(readJson, listKey, validate, registry) {
+    let index;
+    try {
+      index = await readJson("index.json");
+    } catch (e) {
+      throw new Error(`index.json: ${e.message}`);
+    }
+    const ids = isObject(index) ? index[listKey] : null;
+    if (!Array.isArray(ids) || !ids.length || !ids.every((id) => typeof id === "string")) {
+      throw new Error(`index.json: "${listKey}" must be a non-empty list of ids`);
+    }
+
+    const results = await Promise.allSettled(
+      ids.map(async (id) => {
+        const file = `${id}.json`;
+        let data;
+        try {
+          data = await readJson(file);
+        } catch (e) {
+          throw new Error(`${file}: ${e.message}`);
+        }
+        const def = validate(data, file);
+        if (def.id !== id) throw new Error(`${file}: id "${def.id}" doesn't match the file name`);
+        return def;
+      })
+    );
+    const failed = results.filter((r) => r.status === "rejected");
+    if (failed.length) throw new Error(failed.map((r) => r.reason.message).join("\n"));
+
+    for (const r of results) registry[r.value.id] = r.value;
+    return ids.slice();
+  }
+
+  // Loads the roster from characters/. Resolves to the ids in pick order.
+  function loadCharacters(readJson) {
+    return loadFolder(readJson, "characters", validateCharacter, CHAR);
+  }
+
+  // Loads the stages from stages/. Resolves to the ids in menu order.
+  function loadStages(readJson) {
+    return loadFolder(readJson, "stages", validateStage, STAGES);
+  }
+
+  const toFrames = (sec) => Math.round(sec / TICK);
+
+  // Ticks for a timer to run up to / down from `sec`, stepping exactly like
+  // _applyInput does (float drift included), so the table agrees with live play.
+  function ticksUp(sec) {
+    let t = 0;
+    let n = 0;
+    while (t < sec) {
+      t += TICK;
+      n++;
+    }
+    return n;
+  }
+
+  function ticksDown(sec) {
+    let t = sec;
+    let n = 0;
+    while (t > 0) {
+      t = Math.max(0, t - TICK);
+      n++;
+    }
+    return n;
+  }
+
+  // One character's moves in 60 fps frames, for the frame-data table. On hit / on
+  // block assume the hit lands on the first active frame and ignore hitstop (it
+  // freezes both sides equally); null means "depends" (projectiles) or knockdown.
+  function frameData(charId) {
+    const moves = CHAR[charId].moves;
+    return MOVE_NAMES.map((name) => {
+      const m = moves[name];
+      const row = {
+        move: name,
+        kind: m.kind,
+        startup: toFrames(m.startup),
+        active: toFrames(m.active),
+        recovery: toFrames(m.recovery),
+        whiff: m.kind === "throw" ? toFrames(m.recovery + THROW_WHIFF) : null, // recovery when it grabs nothing
+        dmg: m.dmg,
+        hitstun: null,
+        knockdown: false,
+        launch: m.launch > 0,
+        juggle: m.juggle,
+        height: m.height,
+        cancel: m.cancel > 0 ? toFrames(m.cancel) : null,
+        motion: m.motion,
+        onHit: null,
+        onBlock: null,
+      };
+      if (m.kind === "projectile") return row;
+
+      // The hit lands on the first tick the attack timer reaches `startup`; the
+      // attacker is free the tick after it reaches the full length.
+      const hitAt = ticksUp(m.startup);
+      const freeAt = ticksUp(m.startup + m.active + m.recovery) + 1;
+      row.hitstun = toFrames(m.hitstun);
+      row.knockdown = m.knockdown > 0;
+      if (!row.knockdown && !row.launch) row.onHit = hitAt + ticksDown(m.hitstun) - freeAt;
+      if (m.kind !== "throw") row.onBlock = hitAt + ticksDown(m.blockstun) - freeAt;
+      return row;
+    });
+  }
+
+  // FNV-1a over a save() snapshot; two peers agree on it only if their matches agree.
+  function stateChecksum(snapshot) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < snapshot.length; i++) {
+      h ^= snapshot.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  const REPLAY_FORMAT = "funny-fight-replay";
+  const REPLAY_VERSION = 1;
+
+  // Records a match as its Sim config plus every tick's input masks. Masks are
+  // run-length encoded per fighter as flat [mask, count, mask, count, ...] lists,
+  // which keeps a full three-round match down to a few KB of JSON.
+  class ReplayRecorder {
+    constructor(config) {
+      this.config = JSON.parse(JSON.stringify(config));
+      this.frames = 0;
+      this.runs = [[], []];
+    }
+
+    push(masks) {
+      for (let i = 0; i < 2; i++) {
+        const runs = this.runs[i];
+        const m = masks[i] | 0;
+        const n = runs.length;
+        if (n && runs[n - 2] === m) runs[n - 1] += 1;
+        else runs.push(m, 1);
+      }
+      this.frames += 1;
+    }
+
+    toJSON() {
+      return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        ...this.config,
+        frames: this.frames,
+        inputs: this.runs.map((r) => r.slice()),
+      };
+    }
+  }
+
+  // Validates a replay (object or JSON text) and returns a normalized copy.
+  // Throws an Error with a readable message when the file is not usable.
+  function parseReplay(data) {
+    let r = data;
+    if (typeof r === "string") {
+      try {
+        r = JSON.parse(r);
+      } catch (_) {
+        throw new Error("Replay is not valid JSON");
+      }
+    }
+    if (!r || typeof r !== "object" || r.format !== REPLAY_FORMAT) throw new Error("Not a Funny Fight replay");
+    if (r.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${r.version} (expected ${REPLAY_VERSION})`);
+    if (!Array.isArray(r.chars) || r.chars.length !== 2 || !r.chars.every((c) => CHAR[c])) throw new Error("Replay has unknown fighters");
+    if (!Array.isArray(r.control) || r.control.length !== 2) throw new Error("Replay is missing fighter controls");
+    if (r.stage != null && !STAGES[r.stage]) throw new Error("Replay is on an unknown stage");
+    if (!Number.isInteger(r.frames) || r.frames < 0) throw new Error("Replay frame count is invalid");
+    if (!Array.isArray(r.inputs) || r.inputs.length !== 2) throw new Error("Replay inputs are missing");
+    for (const runs of r.inputs) {
+      if (!Array.isArray(runs) || runs.length % 2 !== 0 || !runs.every((v) => Number.isInteger(v) && v >= 0)) {
+        throw new Error("Replay inputs are corrupt");
+      }
+      let total = 0;
+      for (let i = 1; i < runs.length; i += 2) total += runs[i];
+      if (total !== r.frames) throw new Error("Replay inputs don't match its frame count");
+    }
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: r.seed >>> 0,
+      chars: r.chars.slice(),
+      control: r.control.slice(),
+      difficulty: r.difficulty || "normal",
+      bestOf: r.bestOf ?? 3,
+      training: r.training && typeof r.training === "object" ? { ...r.training } : null,
+      stage: r.stage ?? null,
+      simple: Array.isArray(r.simple) && r.simple.length === 2 ? r.simple.map(Boolean) : [true, true],
+      frames: r.frames,
+      inputs: r.inputs.map((runs) => runs.slice()),
+    };
+  }
+
+  // Feeds a parsed replay's masks back one tick at a time.
+  class ReplayPlayer {
+    constructor(replay) {
+      this.replay = replay;
+      this.frame = 0;
+      this._cursor = [{ run: 0, used: 0 }, { run: 0, used: 0 }];
+    }
+
+    get done() {
+      return this.frame >= this.replay.frames;
+    }
+
+    makeSim() {
+      return new Sim(this.replay);
+    }
+
+    next() {
+      if (this.done) return [0, 0];
+      const masks = [0, 0];
+      for (let i = 0; i < 2; i++) {
+        const runs = this.replay.inputs[i];
+        const c = this._cursor[i];
+        masks[i] = runs[c.run];
+        c.used += 1;
+        if (c.used >= runs[c.run + 1]) {
+          c.run += 2;
+          c.used = 0;
+        }
+      }
+      this.frame += 1;
+      return masks;
+    }
+  }
+
+  return {
+    TICK,
+    STAGE_W,
+    BTN,
+    CHAR,
+    STAGES,
+    MOVE_NAMES,
+    HEIGHTS,
+    NORMAL_MOVES,
+    MOTIONS,
+    SFX_NAMES,
+    DASH_TIME,
+    THROW_WHIFF,
+    GUARD_MAX,
+    Sim,
+    ReplayRecorder,
+    ReplayPlayer,
+    parseReplay,
+    stateChecksum,
+    aiInput,
+    dummyInput,
+    readMotion,
+    DUMMY_MODES,
+    frameData,
+    validateCharacter,
+    loadCharacters,
+    validateStage,
+    loadStages,
+    fighterHeightNow,
+    fighterHurtboxWorld,
+    attackHitboxWorld,
+    projectileBoxWorld,
+    rectsOverlap,
+  };
+});
@@ -0,0 +1,157 @@
+// Funny Fight sprite sheets: an optional PNG per fighter plus a JSON atlas that
+// cuts it into named animations. game.js draws a fighter from its sheet when one
+// loaded, and falls back to the procedural look otherwise.
+//
+// Atlas (paths are relative to the atlas file):
+//   {
+//     "image": "rohan.png",
+//     "anchor": [32, 94],          // default point in each frame that sits on the feet
+//     "scale": 1,                  // optional: game pixels per sheet pixel
+//     "animations": {
+//       "idle": { "loop": true, "frames": [{ "rect": [0, 0, 64, 96], "duration": 0.12 }, ...] },
+//       "punch": { "frames": [{ "rect": [0, 96, 64, 96], "duration": 0.05, "anchor": [28, 94] }, ...] },
+//       ...
+//     }
+//   }
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./sim.js"));
+  else root.FunnyFightSprites = factory(root.FunnyFightSim);
+})(typeof self !== "undefined" ? self : this, (SimApi) => {
+  "use strict";
+
+  const { MOVE_NAMES } = SimApi;
+
+  // Optional extras, and what plays when a sheet leaves them out.
+  const ANIM_FALLBACKS = {
+    crouch: "idle",
+    crouchBlock: "block",
+    blockstun: "block",
+    crouchBlockstun: "crouchBlock",
+    backdash: "dash",
+    launch: "hit",
+    airHit: "hit",
+    grabbed: "hit",
+    guardCrush: "hit",
+    throwWhiff: "throw",
+    overhead: "punch",
+  };
+  // Every sheet draws these, one per fighter state (attacks use the move names).
+  const ANIM_NAMES = ["idle", "walk", "dash", "jump", ...MOVE_NAMES.filter((name) => !(name in ANIM_FALLBACKS)), "hit", "block", "down"];
+
+  const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const isPoint = (v) => Array.isArray(v) && v.length === 2 && v.every(isNum);
+
+  // Checks one atlas and returns it ready to draw from: frames as { x, y, w, h, ax,
+  // ay, duration }, each animation with its total `length`, and the optional ones
+  // filled in from ANIM_FALLBACKS. Throws an Error listing every problem, each with
+  // its path, e.g. "sprites/rohan.json: animations.walk.frames[2].duration must be a number > 0".
+  function validateAtlas(data, source = "atlas") {
+    if (!isObject(data)) throw new Error(`${source}: expected a JSON object`);
+    const problems = [];
+
+    if (typeof data.image !== "string" || !data.image.trim()) problems.push("image must be a file name");
+    if (!isPoint(data.anchor)) problems.push("anchor must be [x, y]");
+    const scale = data.scale === undefined ? 1 : data.scale;
+    if (!isNum(scale) || scale <= 0) problems.push("scale must be a number > 0");
+
+    const raw = isObject(data.animations) ? data.animations : {};
+    if (!isObject(data.animations)) problems.push(`animations ${data.animations === undefined ? "is missing" : "must be an object"}`);
+    for (const name of Object.keys(raw)) {
+      if (!ANIM_NAMES.includes(name) && !(name in ANIM_FALLBACKS)) {
+        problems.push(`animations.${name} is not an animation (expected ${ANIM_NAMES.join(", ")} and optionally ${Object.keys(ANIM_FALLBACKS).join(", ")})`);
+      }
+    }
+
+    const anims = {};
+    for (const name of [...ANIM_NAMES, ...Object.keys(ANIM_FALLBACKS)]) {
+      const path = `animations.${name}`;
+      const a = raw[name];
+      if (a === undefined && name in ANIM_FALLBACKS) continue;
+      if (!isObject(a)) {
+        problems.push(`${path} ${a === undefined ? "is missing" : "must be an object"}`);
+        continue;
+      }
+      if (a.loop !== undefined && typeof a.loop !== "boolean") problems.push(`${path}.loop must be true or false`);
+      if (!Array.isArray(a.frames) || !a.frames.length) {
+        problems.push(`${path}.frames must be a non-empty list`);
+        continue;
+      }
+      const frames = a.frames.map((fr, i) => {
+        const at = `${path}.frames[${i}]`;
+        if (!isObject(fr)) {
+          problems.push(`${at} must be an object`);
+          return null;
+        }
+        const r = fr.rect;
+        if (!Array.isArray(r) || r.length !== 4 || !r.every(isNum) || r[0] < 0 || r[1] < 0 || r[2] <= 0 || r[3] <= 0) {
+          problems.push(`${at}.rect must be [x, y, w, h] with w and h > 0`);
+        }
+        if (!isNum(fr.duration) || fr.duration <= 0) problems.push(`${at}.duration must be a number > 0`);
+        if (fr.anchor !== undefined && !isPoint(fr.anchor)) problems.push(`${at}.anchor must be [x, y]`);
+        const [ax, ay] = isPoint(fr.anchor) ? fr.anchor : (isPoint(data.anchor) ? data.anchor : [0, 0]);
+        return { x: r && r[0], y: r && r[1], w: r && r[2], h: r && r[3], ax, ay, duration: fr.duration };
+      });
+      anims[name] = { loop: !!a.loop, frames, length: frames.reduce((sum, fr) => sum + (fr ? fr.duration : 0), 0) };
+    }
+
+    if (problems.length) throw new Error(`${source}: ${problems.join("; ")}`);
+    for (const [name, fallback] of Object.entries(ANIM_FALLBACKS)) {
+      if (!anims[name]) anims[name] = anims[fallback];
+    }
+    return { image: data.image, scale, anims };
+  }
+
+  // The frame showing `t` seconds into an animation: looping ones wrap around,
+  // the rest hold their last frame.
+  function pickFrame(anim, t) {
+    let at = Math.max(0, t);
+    if (anim.loop) at %= anim.length;
+    for (const fr of anim.frames) {
+      if (at < fr.duration) return fr;
+      at -= fr.duration;
+    }
+    return anim.frames[anim.frames.length - 1];
+  }
+
+  // Loads the sheet of every fighter whose character file names one (`sprites`, a
+  // path in the characters folder). `readJson(name)` and `loadImage(name)` fetch
+  // from that folder; `loadImage` resolves to something with a width and height.
+  // A missing or bad sheet never stops the game: that fighter keeps the procedural
+  // look and the problem comes back in `errors`. Resolves to { sheets: { id: sheet }, errors }.
+  async function loadSprites(ids, readJson, loadImage) {
+    const sheets = {};
+    const errors = [];
+    const results = await Promise.allSettled(
+      ids.filter((id) => SimApi.CHAR[id] && SimApi.CHAR[id].sprites).map(async (id) => {
+        const file = SimApi.CHAR[id].sprites;
+        let data;
+        try {
+          data = await readJson(file);
+        } catch (e) {
+          throw new Error(`${file}: ${e.message}`);
+        }
+        const sheet = validateAtlas(data, file);
+        const imageFile = file.slice(0, file.lastIndexOf("/") + 1) + sheet.image;
+        try {
+          sheet.image = await loadImage(imageFile);
+        } catch (e) {
+          throw new Error(`${imageFile}: ${e.message}`);
+        }
+        const { width, height } = sheet.image;
+        for (const [name, anim] of Object.entries(sheet.anims)) {
+          anim.frames.forEach((fr, i) => {
+            if (fr.x + fr.w > width || fr.y + fr.h > height) {
+              throw new Error(`${file}: animations.${name}.frames[${i}].rect is outside the ${width}x${height} image`);
+            }
+          });
+        }
+        sheets[id] = sheet;
+      })
+    );
+    for (const r of results) if (r.status === "rejected") errors.push(r.reason.message);
+    return { sheets, errors };
+  }
+
+  return { ANIM_NAMES, ANIM_FALLBACKS, validateAtlas, pickFrame, loadSprites };
+});
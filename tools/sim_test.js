@@ -0,0 +1,721 @@
+#!/usr/bin/env node
+
+// Headless checks for site/sim.js: it loads in plain Node along with the character
+// files, the same seed plus the same per-tick inputs always replays the same match,
+// and the frame-data table agrees with what the sim measures in play. Also runs two
+// rollback sessions (site/netplay.js) against each other over a laggy in-memory link,
+// loads a sprite atlas (site/sprites.js) from memory, checks that the procedural
+// rig (site/rig.js) lands its punches and kicks inside their hitboxes, that every
+// stage file loads and fences the fighters in, that walls push back, bounce,
+// splat and break, and that juggles spend their points and end on the floor.
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const SITE = path.join(__dirname, "..", "site");
+const { TICK, GUARD_MAX, Sim, BTN, CHAR, attackHitboxWorld, ReplayRecorder, ReplayPlayer, parseReplay, frameData, readMotion, loadCharacters, validateCharacter, STAGES, loadStages, validateStage } = require(path.join(SITE, "sim.js"));
+const { RollbackSession } = require(path.join(__dirname, "..", "site", "netplay.js"));
+const { ANIM_NAMES, validateAtlas, pickFrame, loadSprites } = require(path.join(SITE, "sprites.js"));
+const { STRIKE_LIMB, poseFor, solveRig } = require(path.join(SITE, "rig.js"));
+
+// Deterministic "button masher" so the human input path gets exercised too.
+function scriptedInputs(n, salt) {
+  const out = [];
+  let x = 0x9e3779b9 ^ salt;
+  const buttons = [0, BTN.LEFT, BTN.RIGHT, BTN.UP, BTN.DOWN, BTN.PUNCH, BTN.KICK, BTN.SPECIAL, BTN.THROW];
+  let held = 0;
+  for (let i = 0; i < n; i++) {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    if ((x >>> 0) % 6 === 0) held = buttons[(x >>> 8) % buttons.length] | (x & 1 ? BTN.RIGHT : 0);
+    out.push(held);
+  }
+  return out;
+}
+
+function digest(sim) {
+  const f = (p) => [p.x, p.y, p.vx, p.vy, p.hp, p.energy, p.state, p.stateT, p.hitstunT, p.knockdownT];
+  return JSON.stringify([
+    sim.frame,
+    sim.state.phase,
+    sim.state.timer,
+    sim.match.winsL,
+    sim.match.winsR,
+    f(sim.f1),
+    f(sim.f2),
+    sim.projectiles.map((p) => [p.owner, p.kind, p.x, p.y]),
+  ]);
+}
+
+function play(seed, control, ticks) {
+  const sim = new Sim({ seed, chars: ["rohan", "dev"], control, difficulty: "boss" });
+  const left = scriptedInputs(ticks, 1);
+  const right = scriptedInputs(ticks, 2);
+  const trace = [];
+  for (let i = 0; i < ticks; i++) {
+    sim.step([left[i], right[i]]);
+    if (i % 30 === 0) trace.push(digest(sim));
+  }
+  return { sim, trace };
+}
+
+// Record a match, round-trip it through JSON, and check playback lands on the same state.
+function replayRoundTrip(seed, ticks) {
+  const sim = new Sim({ seed, chars: ["dev", "rohan"], control: ["p1", "cpu"], difficulty: "hard", simple: [false, true] });
+  const rec = new ReplayRecorder(sim.config);
+  const left = scriptedInputs(ticks, 7);
+  for (let i = 0; i < ticks; i++) {
+    const masks = [left[i], 0];
+    rec.push(masks);
+    sim.step(masks);
+  }
+
+  const player = new ReplayPlayer(parseReplay(JSON.stringify(rec)));
+  const again = player.makeSim();
+  while (!player.done) again.step(player.next());
+  assert.strictEqual(digest(again), digest(sim), "replay playback should reproduce the recorded match");
+  assert.deepStrictEqual(again.config.simple, [false, true], "a replay should keep who played with motions");
+  const old = { ...JSON.parse(JSON.stringify(rec)), simple: undefined };
+  assert.deepStrictEqual(parseReplay(old).simple, [true, true], "older replays play back with one-button specials");
+  assert.throws(() => parseReplay("{}"), /Not a Funny Fight replay/);
+}
+
+// Walk a blocking training dummy into the corner, then check the advantage the sim
+// measures for blocked punches and kicks matches the frame-data table.
+function frameAdvantage() {
+  const sim = new Sim({ seed: 5, chars: ["rohan", "dev"], control: ["solo", "dummy"], training: { dummy: "block" } });
+  for (let i = 0; i < 540; i++) sim.step([i < 140 ? 0 : BTN.RIGHT, 0]);
+  const seen = {};
+  for (let i = 0; i < 240; i++) {
+    const mask = i % 60 === 0 ? BTN.PUNCH : i % 60 === 30 ? BTN.KICK : 0;
+    for (const ev of sim.step([mask, 0])) if (ev.type === "advantage" && ev.blocked) seen[ev.move] = ev.frames;
+  }
+  const table = Object.fromEntries(frameData("rohan").map((r) => [r.move, r.onBlock]));
+  assert.ok("punch" in seen && "kick" in seen, "blocked punches and kicks should report frame advantage");
+  assert.strictEqual(seen.punch, table.punch, "punch on block should match frame data");
+  assert.strictEqual(seen.kick, table.kick, "kick on block should match frame data");
+}
+
+// Two peers, each seeing the other's messages `lag` ticks late. Both must confirm
+// the same inputs, agree on every checksum, and match a plain offline run.
+function rollbackPair(seed, ticks, lag) {
+  const config = { seed, chars: ["rohan", "dev"], control: ["p1", "p2"] };
+  const inbox = [[], []];
+  let tick = 0;
+  const peers = [0, 1].map((side) => {
+    const confirmed = [];
+    const session = new RollbackSession({
+      sim: new Sim(config),
+      side,
+      inputDelay: 1,
+      maxRollback: 8,
+      send: (msg) => inbox[1 - side].push({ at: tick + lag, msg: JSON.parse(JSON.stringify(msg)) }),
+      now: () => tick * 16,
+    });
+    session.onConfirm = (f, masks) => confirmed.push(masks);
+    return { session, confirmed, inputs: scriptedInputs(ticks, 11 + side) };
+  });
+
+  let rolledBack = 0;
+  for (; tick < ticks; tick++) {
+    peers.forEach((p, side) => {
+      while (inbox[side].length && inbox[side][0].at <= tick) p.session.receive(inbox[side].shift().msg);
+      p.session.advance(p.inputs[tick]);
+      rolledBack = Math.max(rolledBack, p.session.rollbackFrames);
+    });
+  }
+
+  const [a, b] = peers;
+  assert.ok(rolledBack > 0, "laggy link should force at least one rollback");
+  assert.strictEqual(a.session.desyncFrame, 0, "peers should never report a desync");
+  assert.strictEqual(b.session.desyncFrame, 0, "peers should never report a desync");
+  const n = Math.min(a.confirmed.length, b.confirmed.length);
+  assert.ok(n > ticks / 2, "most frames should confirm");
+  assert.deepStrictEqual(a.confirmed.slice(0, n), b.confirmed.slice(0, n), "peers should confirm the same inputs");
+
+  const offline = new Sim(config);
+  for (const masks of a.confirmed) offline.step(masks);
+  const rolled = new Sim(config);
+  rolled.load(a.session.snapshots.get(a.session.lastConfirmed));
+  assert.strictEqual(rolled.checksum(), offline.checksum(), "rollback result should equal an offline run");
+}
+
+const readCharacterFile = async (name) => JSON.parse(fs.readFileSync(path.join(SITE, "characters", name), "utf8"));
+
+// Every shipped character validates and can fight every other one; a broken file
+// is rejected with the path of each problem.
+async function characters() {
+  const ids = await loadCharacters(readCharacterFile);
+  assert.ok(ids.includes("rohan") && ids.includes("dev"), "roster should include both fighters");
+  for (const a of ids) {
+    for (const b of ids) {
+      const sim = new Sim({ seed: 3, chars: [a, b], control: ["cpu", "cpu"], difficulty: "boss" });
+      for (let i = 0; i < 60 * 20; i++) sim.step([0, 0]);
+      assert.ok(sim.f1.hp < 100 || sim.f2.hp < 100, `${a} vs ${b} should trade hits`);
+      if (a === b) assert.notStrictEqual(sim.f2.c1, sim.f1.c1, `${a} mirror should give the right copy other colors`);
+    }
+  }
+
+  const broken = await readCharacterFile("dev.json");
+  delete broken.moves.kick.startup;
+  broken.colors.primary = "pink";
+  assert.throws(() => validateCharacter(broken, "dev.json"), /dev\.json: colors\.primary must be a #rrggbb color; moves\.kick\.startup is missing/);
+}
+
+// Every shipped stage validates, fighters start on its spawn points and can't walk
+// past its edges, and replays keep the stage they were played on.
+async function stages() {
+  const ids = await loadStages(async (name) => JSON.parse(fs.readFileSync(path.join(SITE, "stages", name), "utf8")));
+  assert.ok(ids.length >= 3, "there should be several stages");
+  for (const id of ids) {
+    const stage = STAGES[id];
+    const sim = new Sim({ seed: 5, chars: ["rohan", "dev"], control: ["p1", "p2"], stage: id });
+    assert.deepStrictEqual([sim.f1.x, sim.f2.x], stage.spawn, `${id} should spawn the fighters on its spawn points`);
+    for (let i = 0; i < 60 * 8; i++) sim.step([BTN.RIGHT, 0]);
+    assert.ok(sim.f2.x <= stage.width - sim.f2.w * 0.5 - 20 && sim.f1.x < sim.f2.x, `${id} should stop the fighters at its right edge`);
+  }
+  assert.throws(() => new Sim({ seed: 1, chars: ["rohan", "dev"], control: ["solo", "cpu"], stage: "moon" }), /Unknown stage "moon"/);
+
+  const wide = ids.reduce((a, b) => (STAGES[a].width >= STAGES[b].width ? a : b));
+  const rec = new ReplayRecorder(new Sim({ seed: 8, chars: ["rohan", "dev"], control: ["solo", "cpu"], stage: wide }).config);
+  rec.push([BTN.RIGHT, 0]);
+  const back = parseReplay(JSON.parse(JSON.stringify(rec.toJSON())));
+  assert.strictEqual(back.stage, wide, "a replay should keep its stage");
+  assert.strictEqual(new ReplayPlayer(back).makeSim().stageW, STAGES[wide].width);
+
+  const broken = JSON.parse(fs.readFileSync(path.join(SITE, "stages", "city.json"), "utf8"));
+  broken.width = 300;
+  broken.layers[0].scroll = 5;
+  broken.music.lead.pop();
+  assert.throws(
+    () => validateStage(broken, "city.json"),
+    /city\.json: width must be a number between 640 and 4000; .*layers\[0\]\.scroll must be a number between 0 and 2; music\.lead must be 32 steps/
+  );
+}
+
+// Fresh fight on `stage` with the right-hand fighter backed against the right wall
+// and the left one `gap` px in front of them.
+function cornered(stage, gap) {
+  const sim = new Sim({ seed: 6, chars: ["rohan", "dev"], control: ["p1", "p2"], stage });
+  while (sim.state.phase !== "fight") sim.step([0, 0]);
+  sim.f2.x = sim._wallX(sim.f2, 1);
+  sim.f1.x = sim.f2.x - gap;
+  return sim;
+}
+
+// Fresh fight between two human-controlled fighters, rohan on the left and dev
+// `gap` px in front of him; `options` add to or override the Sim's.
+function squaredUp(gap, options = {}) {
+  const sim = new Sim({ seed: 2, chars: ["rohan", "dev"], control: ["p1", "p2"], ...options });
+  while (sim.state.phase !== "fight") sim.step([0, 0]);
+  sim.f2.x = sim.f1.x + gap;
+  return sim;
+}
+
+function press(sim, mask, ticks) {
+  const events = [];
+  for (let i = 0; i < ticks; i++) events.push(...sim.step([i === 0 ? mask : 0, 0]).map((e) => e.type + (e.kind ? `:${e.kind}` : "")));
+  return events;
+}
+
+// Knockback the corner soaks up pushes the attacker out instead; throws bounce off
+// the wall, supers splat on it, and the temple's wall gives way on the second one.
+function walls() {
+  const open = cornered("city", 60);
+  open.f2.x = 900;
+  open.f1.x = 840;
+  press(open, BTN.PUNCH, 30);
+  const corner = cornered("city", 60);
+  const startX = corner.f1.x;
+  assert.ok(press(corner, BTN.PUNCH, 30).includes("hit"), "the corner punch should land");
+  assert.ok(startX - corner.f1.x > 840 - open.f1.x + 10, "a hit in the corner should push the attacker back further");
+
+  const thrown = cornered("city", 55);
+  assert.ok(press(thrown, BTN.THROW, 40).includes("wall:bounce"), "a throw into the wall should bounce");
+  assert.ok(thrown.f2.x < thrown._wallX(thrown.f2, 1), "a wall bounce should pop the defender off the wall");
+
+  const splat = cornered("city", 130);
+  splat.f1.energy = 100;
+  let ticks = 0;
+  while (!press(splat, ticks ? 0 : BTN.SPECIAL, 1).includes("wall:splat")) assert.ok(++ticks < 40, "a super into the wall should splat");
+  press(splat, 0, 10);
+  assert.ok(splat.f2.wallT > 0 && splat.f2.y > 0 && splat.f2.x === splat._wallX(splat.f2, 1), "a splat should hold them on the wall for a moment");
+
+  const temple = cornered("temple", 55);
+  assert.ok(press(temple, BTN.THROW, 40).includes("wall:bounce"));
+  const before = temple.save();
+  for (let i = 0; i < 60; i++) temple.step([0, 0]);
+  temple.f2.x = temple._wallX(temple.f2, 1);
+  temple.f1.x = temple.f2.x - 55;
+  assert.ok(press(temple, BTN.THROW, 40).includes("wallBreak"), "the second wall hit should break the temple wall");
+  assert.strictEqual(temple.area, STAGES.temple.wallBreak.area);
+  assert.strictEqual(temple.stageW, STAGES.temple.wallBreak.area.width);
+  assert.ok(temple.f1.x < temple.f2.x && temple.f2.x < 600, "both fighters should carry on from the new area's near edge");
+  temple.load(before);
+  assert.strictEqual(temple.stageW, STAGES.temple.width, "loading a snapshot from before the break should restore the wall");
+
+  const broken = JSON.parse(fs.readFileSync(path.join(SITE, "stages", "temple.json"), "utf8"));
+  broken.wallBreak.hits = 0;
+  broken.wallBreak.area.width = 9000;
+  assert.throws(
+    () => validateStage(broken, "temple.json"),
+    /temple\.json: wallBreak\.hits must be a whole number between 1 and 9; wallBreak\.area: width must be a number between 640 and 4000/
+  );
+}
+
+// Steps `ticks` with the left fighter pressing `masks[tick]`, and returns the
+// moves that landed.
+function landed(sim, masks, ticks) {
+  const hits = [];
+  for (let i = 0; i < ticks; i++) {
+    for (const ev of sim.step([masks[i] || 0, 0])) if (ev.type === "hit" || ev.type === "airReset") hits.push(ev.move || ev.type);
+  }
+  return hits;
+}
+
+// A launcher starts a juggle, follow-ups spend its points until a hit can't pay
+// and passes through, and the landing is a knockdown. A jab on a jumper is an
+// air reset instead: no more hits until they land, on their feet.
+function juggles() {
+  const { kick, punch } = CHAR.rohan.moves;
+  const row = frameData("rohan").find((r) => r.move === "kick");
+  assert.ok(row.launch && row.onHit === null, "a launcher should show as a launch in the frame data");
+
+  const sim = squaredUp(80);
+  assert.deepStrictEqual(landed(sim, { 0: BTN.KICK }, 16), ["kick"]);
+  assert.strictEqual(sim.f2.state, "launch", "a kick should launch");
+  const points = sim.f2.juggle;
+  assert.deepStrictEqual(landed(sim, { 8: BTN.PUNCH }, 25), ["punch"], "a launched fighter can be juggled");
+  assert.strictEqual(sim.f2.juggle, points - punch.juggle, "each juggle hit should spend its points");
+  // Same spot in the air, with and without the points for another punch.
+  while (sim.f1.attack) sim.step([0, 0]);
+  sim.f2.x = sim.f1.x + 60;
+  const aloft = sim.save();
+  assert.deepStrictEqual(landed(sim, { 0: BTN.PUNCH }, 12), ["punch"]);
+  sim.load(aloft);
+  sim.f2.juggle = punch.juggle - 1;
+  assert.deepStrictEqual(landed(sim, { 0: BTN.PUNCH }, 12), [], "a hit the juggle can't pay for should pass through");
+  while (!sim.f2.onGround) sim.step([0, 0]);
+  assert.ok(sim.f2.juggle === null && sim.f2.knockdownT > 0, "a juggle should end in a knockdown");
+  assert.ok(kick.launch > 0);
+
+  const air = squaredUp(70);
+  const jumped = [];
+  for (let i = 0; i < 90 && !air.f2.airReset; i++) {
+    for (const ev of air.step([i === 40 ? BTN.PUNCH : 0, i === 0 ? BTN.UP : 0])) if (ev.type === "airReset") jumped.push(ev.type);
+  }
+  assert.deepStrictEqual(jumped, ["airReset"], "a jab on a jumper should reset them");
+  assert.deepStrictEqual(landed(air, { 10: BTN.PUNCH }, 25).filter((m) => m !== "airReset"), [], "an air-reset fighter can't be hit until they land");
+  while (!air.f2.onGround) air.step([0, 0]);
+  assert.ok(!air.f2.airReset && air.f2.knockdownT === 0, "an air reset should land on its feet");
+}
+
+// Hits only add to a combo while the defender is still reeling, each one scaled
+// down a step; a punch that lands just after they recovered is a dropped combo.
+function combos() {
+  const { kick, punch } = CHAR.rohan.moves;
+  const damage = (sim, masks, ticks) => {
+    const out = [];
+    for (let i = 0; i < ticks; i++) for (const ev of sim.step([masks[i] || 0, 0])) if (ev.type === "hit") out.push(ev.damage);
+    return out;
+  };
+
+  const juggle = squaredUp(80);
+  const dealt = damage(juggle, { 0: BTN.KICK, 24: BTN.PUNCH }, 60);
+  assert.deepStrictEqual(dealt, [kick.dmg, Math.round(punch.dmg * 0.9)], "the second hit of a combo should deal 90%");
+  assert.strictEqual(juggle.f1.comboHits, 2);
+  assert.strictEqual(juggle.f1.comboDamage, dealt[0] + dealt[1], "the combo should total its scaled damage");
+
+  const late = squaredUp(60);
+  damage(late, { 0: BTN.PUNCH, 18: BTN.PUNCH }, 40);
+  assert.strictEqual(late.f1.comboHits, 1, "a hit after the defender recovered shouldn't extend the combo");
+  assert.strictEqual(late.f1.comboDropped, 1, "a hit just after they recovered should flag a dropped combo");
+
+  const apart = squaredUp(60);
+  damage(apart, { 0: BTN.PUNCH, 50: BTN.PUNCH }, 70);
+  assert.ok(apart.f1.comboHits === 1 && apart.f1.comboDropped === 0, "two separate pokes are neither a combo nor a drop");
+}
+
+// A tap toward the attacker just before the hit parries it: no damage, and the
+// attacker ends up well behind. Too early (or mashing through the lockout) gets hit.
+function parries() {
+  // Rohan punches on tick 10; his punch connects five ticks later.
+  const run = (sim, taps, ticks) => {
+    const events = [];
+    for (let i = 0; i < ticks; i++) {
+      const mask = taps.includes(i) ? BTN.LEFT : 0;
+      events.push(...sim.step([i === 10 ? BTN.PUNCH : 0, mask]).filter((e) => ["parry", "hit", "advantage"].includes(e.type)));
+    }
+    return events;
+  };
+
+  const parried = squaredUp(60);
+  const events = run(parried, [11], 70);
+  assert.deepStrictEqual(events.map((e) => e.type), ["parry", "advantage"], "a timely tap should parry the punch");
+  assert.strictEqual(parried.f2.hp, 100, "a parry should take no damage");
+  assert.ok(events[1].parried && events[1].frames < -10, "a parried attacker should be well behind");
+
+  assert.strictEqual(run(squaredUp(60), [2], 40)[0].type, "hit", "a tap that's too early shouldn't parry");
+  assert.strictEqual(run(squaredUp(60), [2, 11], 40)[0].type, "hit", "a second tap inside the lockout shouldn't parry");
+}
+
+// A throw holds its victim for the tech window: pressing Throw in it pushes both
+// apart unhurt, waiting it out takes the throw. A throw at nobody recovers late.
+function techs() {
+  // Rohan throws on tick 0 and grabs on tick 4.
+  const run = (sim, tap, ticks) => {
+    const events = [];
+    for (let i = 0; i < ticks; i++) {
+      events.push(...sim.step([i === 0 ? BTN.THROW : 0, i === tap ? BTN.THROW : 0]).filter((e) => ["grab", "tech", "hit"].includes(e.type)).map((e) => e.type));
+    }
+    return events;
+  };
+
+  const teched = squaredUp(50);
+  assert.deepStrictEqual(run(teched, 8, 40), ["grab", "tech"], "a throw press while grabbed should tech");
+  assert.strictEqual(teched.f2.hp, 100, "a tech should take no damage");
+  assert.ok(teched.f2.x - teched.f1.x > 100, "a tech should push both fighters apart");
+
+  const late = squaredUp(50);
+  assert.deepStrictEqual(run(late, 20, 40), ["grab", "hit"], "a press after the window shouldn't tech");
+  assert.ok(late.f2.hp < 100);
+
+  const whiff = squaredUp(200);
+  const { throw: th } = CHAR.rohan.moves;
+  let ticks = 0;
+  for (whiff.step([BTN.THROW, 0]); whiff.f1.attack; whiff.step([0, 0])) ticks++;
+  assert.ok(ticks * TICK > th.startup + th.active + th.recovery + 0.1, "a whiffed throw should recover late");
+  const row = frameData("rohan").find((r) => r.move === "throw");
+  assert.ok(row.whiff > row.recovery, "the frame data should show the whiff recovery");
+}
+
+// A standing guard (away) stops highs, mids and overheads, a crouching one (down +
+// away) mids and lows, and highs whiff over it. A hit that beats the guard says
+// which height did it, and a hit that wasn't blocked can't be blocked out of.
+function heights() {
+  const guards = { stand: BTN.RIGHT, crouch: BTN.RIGHT | BTN.DOWN };
+  const attacks = { punch: BTN.PUNCH, kick: BTN.KICK, sweep: BTN.DOWN | BTN.KICK, overhead: BTN.RIGHT | BTN.PUNCH };
+  const expected = {
+    stand: { punch: "blocked", kick: "blocked", sweep: "low", overhead: "blocked" },
+    crouch: { punch: "blocked", kick: "whiff", sweep: "blocked", overhead: "overhead" },
+  };
+  for (const [guard, hold] of Object.entries(guards)) {
+    for (const [move, mask] of Object.entries(attacks)) {
+      const sim = cornered("city", 60);
+      const hits = [];
+      for (let i = 0; i < 40; i++) {
+        for (const ev of sim.step([i < 2 ? mask : 0, hold])) if (ev.type === "hit") hits.push(ev.blocked ? "blocked" : ev.beat);
+      }
+      assert.deepStrictEqual(hits, [expected[guard][move] === "whiff" ? [] : expected[guard][move]].flat(), `${move} against a ${guard}ing guard`);
+    }
+  }
+
+  // Stretch the first punch's hitstun so the second one lands inside it.
+  const reeling = cornered("city", 60);
+  const hits = [];
+  for (let i = 0; i < 30; i++) {
+    for (const ev of reeling.step([i === 0 || i === 14 ? BTN.PUNCH : 0, i > 8 ? BTN.RIGHT : 0])) {
+      if (ev.type !== "hit") continue;
+      hits.push(ev.blocked);
+      reeling.f2.hitstunT = 0.5;
+    }
+  }
+  assert.deepStrictEqual(hits, [false, false], "holding away in hitstun shouldn't block the next hit");
+}
+
+// A blocked ground normal holds the defender on their feet in blockstun while it
+// pushes them back, and frees them exactly when the frame data's on-block says.
+function blockstun() {
+  const attacks = {
+    punch: [BTN.PUNCH, BTN.RIGHT],
+    kick: [BTN.KICK, BTN.RIGHT],
+    sweep: [BTN.DOWN | BTN.KICK, BTN.RIGHT | BTN.DOWN],
+    overhead: [BTN.RIGHT | BTN.PUNCH, BTN.RIGHT],
+  };
+  const table = Object.fromEntries(frameData("rohan").map((r) => [r.move, r.onBlock]));
+  for (const [move, [mask, guard]] of Object.entries(attacks)) {
+    const sim = new Sim({ seed: 6, chars: ["rohan", "dev"], control: ["p1", "p2"], stage: "city" });
+    while (sim.state.phase !== "fight") sim.step([0, 0]);
+    sim.f2.x = sim.f1.x + 40;
+    const startX = sim.f2.x;
+    const states = new Set();
+    let frames = null;
+    for (let i = 0; i < 50; i++) {
+      const before = sim.f2.blockstunT;
+      for (const ev of sim.step([i < 2 ? mask : 0, guard])) {
+        if (ev.type === "hit") assert.ok(ev.blocked, `${move} should be blocked`);
+        if (ev.type === "advantage") frames = ev.frames;
+      }
+      assert.ok(sim.f2.onGround && sim.f2.y === 0, `blocking the ${move} shouldn't pop the defender up`);
+      // Ticks where the blockstun ran down (not frozen in hitstop, not the hit itself).
+      if (sim.f2.blockstunT > 0 && sim.f2.blockstunT < before) states.add(sim.f2.state);
+    }
+    const expected = guard & BTN.DOWN ? "crouchBlockstun" : "blockstun";
+    assert.deepStrictEqual([...states], [expected], `the ${move} should hold the defender in ${expected}`);
+    assert.ok(sim.f2.x > startX, `the ${move} should push the defender back`);
+    assert.strictEqual(frames, table[move], `${move} on block should match frame data`);
+  }
+}
+
+// Blocks chip the defender's health and drain their guard meter, which refills
+// while they aren't blocking; the block that empties it crushes the guard, so the
+// next hit lands even though they're still holding away.
+function guardCrush() {
+  const { kick } = CHAR.rohan.moves;
+  const sim = cornered("city", 60);
+  const first = [];
+  for (let i = 0; i < 30; i++) for (const ev of sim.step([i === 0 ? BTN.KICK : 0, BTN.RIGHT])) if (ev.type === "hit") first.push(ev);
+  assert.ok(first.length === 1 && first[0].blocked, "the first kick should be blocked");
+  assert.strictEqual(first[0].damage, kick.chip, "a blocked kick should only do its chip damage");
+  assert.strictEqual(sim.f2.hp, 100 - kick.chip);
+  const drained = sim.f2.guardMeter;
+  assert.strictEqual(drained, GUARD_MAX - kick.guardDmg, "a blocked kick should drain its guard damage");
+  for (let i = 0; i < 60; i++) sim.step([0, BTN.RIGHT]);
+  assert.strictEqual(sim.f2.guardMeter, drained, "the guard shouldn't refill while block is held");
+  for (let i = 0; i < 60; i++) sim.step([0, 0]);
+  assert.ok(sim.f2.guardMeter > drained, "the guard should refill while not blocking");
+
+  sim.f2.guardMeter = kick.guardDmg * 1.5;
+  const hits = [];
+  const states = new Set();
+  for (let i = 0; i < 90; i++) {
+    for (const ev of sim.step([i % 30 === 0 ? BTN.KICK : 0, BTN.RIGHT])) {
+      if (ev.type === "guardCrush") hits.push("crush");
+      if (ev.type === "hit") hits.push(ev.blocked ? "blocked" : "hit");
+    }
+    if (sim.f2.crushT > 0) states.add(sim.f2.state);
+  }
+  assert.deepStrictEqual(hits, ["blocked", "crush", "blocked", "hit"], "the kick after a guard crush should land");
+  assert.ok(states.has("guardCrush"), "a crushed guard should show");
+  assert.strictEqual(sim.f2.crushT, 0, "the hit should end the crush");
+  assert.strictEqual(sim.f2.guardMeter, GUARD_MAX, "the guard should come back full");
+}
+
+// A normal that connects cancels into the special or the next move of a chain
+// within its window, cutting its recovery; a whiff, a move off the chain or a
+// late press doesn't. Bad cancel data is caught at load.
+async function cancels() {
+  const open = (gap, energy = 60) => {
+    const sim = squaredUp(gap, { seed: 6, stage: "city" });
+    sim.f1.energy = energy;
+    return sim;
+  };
+  const run = (sim, presses, ticks) => {
+    const seen = [];
+    for (let i = 0; i < ticks; i++) {
+      for (const ev of sim.step([presses[i] || 0, 0])) {
+        if (ev.type === "hit") seen.push(ev.move);
+        if (ev.type === "cancel") seen.push(`${ev.from}>${ev.to}`);
+      }
+    }
+    return seen;
+  };
+  const { punch } = CHAR.rohan.moves;
+  const full = Math.ceil((punch.startup + punch.active + punch.recovery) / TICK);
+
+  const special = open(60);
+  assert.deepStrictEqual(run(special, { 0: BTN.PUNCH, 8: BTN.SPECIAL }, 10), ["punch", "punch>special"]);
+  assert.ok(special.f1.attack.name === "special" && 10 < full, "the special should come out before the punch recovers");
+
+  assert.deepStrictEqual(run(open(60), { 0: BTN.PUNCH, 8: BTN.PUNCH, 16: BTN.KICK }, 40), ["punch", "punch>punch", "punch", "punch>kick", "kick"]);
+  const chained = open(60);
+  run(chained, { 0: BTN.PUNCH, 8: BTN.PUNCH, 16: BTN.KICK }, 40);
+  assert.strictEqual(chained.f1.comboHits, 3, "rohan's punch, punch, kick should combo");
+
+  assert.deepStrictEqual(run(open(60), { 0: BTN.KICK, 10: BTN.PUNCH }, 20), ["kick"], "kick into punch isn't a chain");
+  assert.deepStrictEqual(run(open(300), { 0: BTN.PUNCH, 8: BTN.SPECIAL }, 10), [], "a whiffed punch shouldn't cancel");
+  const late = open(60);
+  run(late, { 0: BTN.PUNCH }, 1);
+  while (late.f1.attack.connectT === null || late.f1.stateT - late.f1.attack.connectT <= punch.cancel) late.step([0, 0]);
+  assert.ok(late.f1.attack, "the punch should still be recovering");
+  assert.deepStrictEqual(run(late, { 0: BTN.SPECIAL }, 2), [], "a press after the window shouldn't cancel");
+  assert.deepStrictEqual(run(open(60, 0), { 0: BTN.PUNCH, 8: BTN.SPECIAL }, 10), ["punch"], "no meter, no special to cancel into");
+  assert.strictEqual(frameData("rohan").find((r) => r.move === "punch").cancel, Math.round(punch.cancel / TICK));
+
+  const broken = await readCharacterFile("rohan.json");
+  broken.moves.special.cancel = 0.1;
+  broken.chains = [["punch", "sweep", "kick"]];
+  assert.throws(() => validateCharacter(broken, "rohan.json"), /moves\.special\.cancel only works on normals.*chains\[0\]\[1\]: moves\.sweep needs a cancel window/);
+}
+
+// The motion parser reads quarter circles, dragon punches, charges and 360s out of
+// the direction history with some slack, and with motions on, Special alone does
+// nothing while each fighter's own motions bring out their special and super.
+async function motions() {
+  const hold = (d, n) => Array(n).fill(d);
+  assert.ok(readMotion([5, 2, 3, 6], "qcf"));
+  assert.ok(readMotion([2, 2, 1, 2, 3, 3, 5, 6], "qcf"), "qcf with slop in between");
+  assert.ok(!readMotion([2, ...hold(5, 20), 3, 6], "qcf"), "qcf spread too thin");
+  assert.ok(!readMotion([2, 3, 6, ...hold(5, 20)], "qcf"), "qcf done too long ago");
+  assert.ok(readMotion([6, 5, 2, 3], "dp") && !readMotion([6, 5, 2, 3], "qcf"));
+  assert.ok(readMotion([...hold(4, 30), 5, 6], "charge"));
+  assert.ok(readMotion([...hold(1, 30), 3], "charge"), "down-back charges too");
+  assert.ok(!readMotion([...hold(4, 20), 6], "charge"), "charge not held long enough");
+  assert.ok(!readMotion([...hold(4, 30), ...hold(5, 12), 6], "charge"), "charge let go too long ago");
+  assert.ok(!readMotion(hold(4, 40), "charge"), "still charging");
+  assert.ok(readMotion([4, 1, 2, 3, 6], "360") && readMotion([6, 2, 4], "360"));
+  assert.ok(!readMotion([2, 3, 6], "360"), "a 360 needs back too");
+  assert.ok(!readMotion([1, 1, 1, 3], "360") && !readMotion([1, 2, 3, 6], "360"), "down-back to down-forward isn't a 360");
+
+  const fight = (simple, energy = 60, charId = "rohan") => {
+    const sim = new Sim({ seed: 6, chars: [charId, "dev"], control: ["p1", "p2"], stage: "city", simple: [simple, true] });
+    while (sim.state.phase !== "fight") sim.step([0, 0]);
+    sim.f1.energy = energy;
+    return sim;
+  };
+  const attackAfter = (sim, masks) => {
+    for (const m of [...masks, 0, 0]) {
+      sim.step([m, 0]);
+      if (sim.f1.attack) return sim.f1.attack.name;
+      if (sim.f1.dashT > 0) return "dash";
+    }
+    return null;
+  };
+  const { DOWN: D, LEFT: B, RIGHT: F, SPECIAL: S } = BTN;
+  const qcf = [D, D | F, F, F | S];
+  const dp = [F, 0, D, D | F, D | F | S];
+  assert.strictEqual(attackAfter(fight(false), [S]), null, "Special alone shouldn't do anything with motions on");
+  assert.strictEqual(attackAfter(fight(false), qcf), "special");
+  assert.strictEqual(attackAfter(fight(false, 100), qcf), "special", "rohan's super isn't a quarter circle");
+  assert.strictEqual(attackAfter(fight(false, 100), dp), "super", "a dragon punch is, and it shouldn't dash");
+  assert.strictEqual(attackAfter(fight(false, 100), [F, F, F, ...qcf]), "special", "a quarter circle after walking forward is still the special");
+  assert.strictEqual(attackAfter(fight(false, 100, "bruno"), [...hold(D | B, 32), D | F | S]), "special", "bruno's crouching charge isn't his 360");
+  assert.strictEqual(attackAfter(fight(true), [S]), "special", "simple controls keep one-button specials");
+  assert.strictEqual(attackAfter(fight(true, 100), [S]), "super");
+  assert.strictEqual(frameData("dev").find((r) => r.move === "special").motion, "charge");
+
+  const broken = await readCharacterFile("dev.json");
+  broken.moves.punch.motion = "qcf";
+  broken.moves.super.motion = "spin";
+  assert.throws(() => validateCharacter(broken, "dev.json"), /moves\.punch\.motion only works on special and super.*moves\.super\.motion must be one of qcf, dp, charge, 360/);
+}
+
+// A two-frame strip per animation on a 128x96 sheet; idle loops, the rest hold.
+async function sprites() {
+  const atlas = { image: "rohan.png", anchor: [32, 94], animations: {} };
+  for (const name of ANIM_NAMES) {
+    atlas.animations[name] = {
+      loop: name === "idle",
+      frames: [{ rect: [0, 0, 64, 96], duration: 0.1 }, { rect: [64, 0, 64, 96], duration: 0.2, anchor: [30, 94] }],
+    };
+  }
+  const files = { "sprites/rohan.json": atlas };
+  const readJson = async (name) => {
+    if (!files[name]) throw new Error("404 Not Found");
+    return JSON.parse(JSON.stringify(files[name]));
+  };
+  const images = [];
+  const loadImage = async (name) => {
+    images.push(name);
+    return { width: 128, height: 96 };
+  };
+
+  CHAR.rohan.sprites = "sprites/rohan.json";
+  CHAR.dev.sprites = "sprites/dev.json";
+  try {
+    const { sheets, errors } = await loadSprites(["rohan", "dev", "mira"], readJson, loadImage);
+    assert.deepStrictEqual(Object.keys(sheets), ["rohan"], "only fighters with a good sheet should get one");
+    assert.deepStrictEqual(images, ["sprites/rohan.png"], "the image should load from next to its atlas");
+    assert.deepStrictEqual(errors, ["sprites/dev.json: 404 Not Found"]);
+
+    const { idle, punch, crouch } = sheets.rohan.anims;
+    assert.strictEqual(crouch, idle, "a sheet without crouch should crouch with idle");
+    assert.strictEqual(pickFrame(idle, 0.05).x, 0);
+    assert.strictEqual(pickFrame(idle, 0.15).ax, 30, "frames should keep their own anchor");
+    assert.strictEqual(pickFrame(idle, 0.35).x, 0, "looping animations should wrap");
+    assert.strictEqual(pickFrame(punch, 5).x, 64, "one-shot animations should hold their last frame");
+
+    files["sprites/dev.json"] = { ...atlas, image: "dev.png" };
+    files["sprites/dev.json"].animations = { ...atlas.animations, walk: { frames: [{ rect: [96, 0, 64, 96], duration: 0.1 }] } };
+    const wide = await loadSprites(["dev"], readJson, loadImage);
+    assert.deepStrictEqual(wide.errors, ["sprites/dev.json: animations.walk.frames[0].rect is outside the 128x96 image"]);
+  } finally {
+    CHAR.rohan.sprites = null;
+    CHAR.dev.sprites = null;
+  }
+
+  const broken = JSON.parse(JSON.stringify(atlas));
+  delete broken.animations.block;
+  broken.animations.idle.frames[1].duration = 0;
+  assert.throws(
+    () => validateAtlas(broken, "rohan.json"),
+    /rohan\.json: animations\.idle\.frames\[1\]\.duration must be a number > 0; animations\.block is missing/
+  );
+}
+
+// Mid-way through every melee move's active frames, the striking hand or foot
+// should sit inside the hitbox, and be well short of it before the windup.
+function rigReach(ids) {
+  const inside = (pt, box) => pt[0] >= box.x && pt[0] <= box.x + box.w && -pt[1] >= box.y && -pt[1] <= box.y + box.h;
+  for (const id of ids) {
+    for (const facing of [1, -1]) {
+      const sim = new Sim({ seed: 1, chars: [id, id], control: ["solo", "solo"] });
+      const f = sim.f1;
+      f.facing = facing;
+      for (const [name, m] of Object.entries(CHAR[id].moves)) {
+        if (m.kind === "projectile") continue;
+        const air = name.startsWith("air");
+        Object.assign(f, { attack: { name }, state: name, crouch: name === "sweep", onGround: !air, y: air ? 60 : 0 });
+        const limb = STRIKE_LIMB[name] === "hands" ? "arms" : "legs";
+        const world = (p) => [f.x + facing * p[0], f.y + p[1]];
+        const box = attackHitboxWorld(f, name);
+        const hit = world(solveRig(poseFor(f, m.startup + m.active / 2))[limb][0].end);
+        assert.ok(inside(hit, box), `${id} ${name} should reach its hitbox (facing ${facing})`);
+        const rest = world(solveRig(poseFor(f, 0))[limb][0].end);
+        assert.ok(!inside(rest, box) || name === "throw", `${id} ${name} should start out of its hitbox`);
+      }
+    }
+  }
+}
+
+async function main() {
+  await characters();
+  await sprites();
+  await stages();
+  walls();
+  juggles();
+  combos();
+  parries();
+  techs();
+  heights();
+  blockstun();
+  guardCrush();
+  await cancels();
+  await motions();
+  rigReach(Object.keys(CHAR));
+  const ticks = 60 * 90;
+
+  const a = play(1234, ["solo", "cpu"], ticks);
+  const b = play(1234, ["solo", "cpu"], ticks);
+  assert.deepStrictEqual(a.trace, b.trace, "same seed + inputs should replay identically (vs CPU)");
+
+  const c = play(99, ["p1", "p2"], ticks);
+  const d = play(99, ["p1", "p2"], ticks);
+  assert.deepStrictEqual(c.trace, d.trace, "same seed + inputs should replay identically (versus)");
+
+  const e = play(4321, ["solo", "cpu"], ticks);
+  assert.notDeepStrictEqual(a.trace, e.trace, "different seeds should play out differently");
+
+  replayRoundTrip(777, ticks);
+  frameAdvantage();
+  rollbackPair(2024, 60 * 30, 4);
+
+  assert.ok(a.sim.frame === ticks || a.sim.state.phase === "over", "sim should advance one frame per step");
+  const damaged = [a, c].some(({ sim }) => sim.f1.hp < 100 || sim.f2.hp < 100 || sim.match.winsL + sim.match.winsR > 0);
+  assert.ok(damaged, "scripted matches should land at least one hit");
+
+  console.log("OK: sim test passed");
+  return 0;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err);
+    process.exitCode = 1;
+  }
+);
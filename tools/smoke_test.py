@@ -2,6 +2,7 @@
 
 import contextlib
 import http.server
+import json
 import socket
 import socketserver
 import threading
@@ -49,18 +50,50 @@ def main() -> int:
     try:
         index = _fetch(f"http://127.0.0.1:{port}/site/")
         assert "<canvas" in index, "index.html should include a canvas"
-        assert "ROHAN" in index and "DEV" in index, "index.html should mention both fighters"
+        assert "pickList" in index and "slotFoe" in index, "index.html should include the character select"
+        assert 'id="side"' in index, "index.html should include the starting-side select"
+        assert 'id="stage"' in index, "index.html should include the stage select"
         assert "game.js" in index, "index.html should load game.js"
+        assert "sim.js" in index, "index.html should load sim.js"
+        assert "netplay.js" in index, "index.html should load netplay.js"
+        assert "sprites.js" in index, "index.html should load sprites.js"
+        assert "rig.js" in index, "index.html should load rig.js"
         assert "style.css" in index, "index.html should load style.css"
         assert "sfxBtn" in index, "index.html should include SFX toggle button"
         assert "difficulty" in index, "index.html should include AI difficulty select"
         assert "hudLeftRounds" in index and "hudRightRounds" in index, "index.html should include round indicators"
         assert "hudLeftCombo" in index and "hudRightCombo" in index, "index.html should include combo indicators"
+        assert "replayBar" in index, "index.html should include replay controls"
+        assert "framesTable" in index and "hudAdv" in index, "index.html should include frame data"
 
         js = _fetch(f"http://127.0.0.1:{port}/site/game.js")
         assert "AudioContext" in js or "webkitAudioContext" in js, "game.js should include WebAudio"
-        assert "ROHAN" in js and "DEV" in js, "game.js should include both fighter names"
-        assert "DASH_TIME" in js and "SUPER READY" in js, "game.js should include dash/super features"
+        assert "SUPER READY" in js, "game.js should include super HUD"
+
+        sim = _fetch(f"http://127.0.0.1:{port}/site/sim.js")
+        assert "validateCharacter" in sim, "sim.js should validate character files"
+        assert "DASH_TIME" in sim, "sim.js should include dash features"
+        assert "module.exports" in sim, "sim.js should be importable from Node"
+        assert "funny-fight-replay" in sim, "sim.js should include the replay format"
+
+        roster = json.loads(_fetch(f"http://127.0.0.1:{port}/site/characters/index.json"))
+        names = [
+            json.loads(_fetch(f"http://127.0.0.1:{port}/site/characters/{cid}.json"))["name"]
+            for cid in roster["characters"]
+        ]
+        assert "ROHAN" in names and "DEV" in names, "characters/ should define both fighters"
+
+        stages = json.loads(_fetch(f"http://127.0.0.1:{port}/site/stages/index.json"))["stages"]
+        for sid in stages:
+            stage = json.loads(_fetch(f"http://127.0.0.1:{port}/site/stages/{sid}.json"))
+            assert stage["id"] == sid and stage["layers"], f"stages/{sid}.json should define a stage"
+        assert len(stages) >= 3, "stages/ should offer several stages"
+
+        net = _fetch(f"http://127.0.0.1:{port}/site/netplay.js")
+        assert "RollbackSession" in net, "netplay.js should include the rollback session"
+
+        sprites = _fetch(f"http://127.0.0.1:{port}/site/sprites.js")
+        assert "validateAtlas" in sprites, "sprites.js should validate sprite atlases"
 
         css = _fetch(f"http://127.0.0.1:{port}/site/style.css")
         assert ":root" in css and "--rohan" in css and "--dev" in css, "style.css should include theme vars"